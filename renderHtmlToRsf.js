@@ -11,89 +11,382 @@
  *   rsf('#app', r => {
  *       renderHtmlToRsf(r);
  *   });
+ *
+ * The conversion itself needs no DOM and also runs in Node:
+ *   const { htmlToRsf } = require('rsfjs/renderHtmlToRsf.js');
+ *   htmlToRsf('<p class="note">Hi</p>');  // r.p({ class: "note" }, "Hi");
+ *
+ * or from the command line: npx rsf-convert page.html
  */
 
-function renderHtmlToRsf(r) {
-    // Parse HTML to RSF code
-    function parseHTML(html) {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html.trim(), 'text/html');
-
-        function nodeToRsf(node, indent = 0) {
-            if (node.nodeType === 3) { // Text node
-                const text = node.textContent.trim();
-                if (!text) return null;
-                const spaces = ' '.repeat(indent);
-                return `${spaces}r.text("${text}")`;
-            }
-
-            if (node.nodeType !== 1) return null; // Skip non-element nodes
-
-            const tag = node.tagName.toLowerCase();
-            const hasAttributes = node.attributes.length > 0;
-
-            // Build attributes object if needed
-            let attrs = {};
-            if (hasAttributes) {
-                Array.from(node.attributes).forEach(attr => {
-                    if (attr.name === 'class') {
-                        attrs.class = attr.value;
-                    } else {
-                        attrs[attr.name] = attr.value;
-                    }
-                });
+const htmlToRsf = (function () {
+    // Tag helpers rsf.js has on r (the same list as its tags); anything else, including
+    // document-level tags such as title and style, goes through r.elem(). r.link is
+    // the router link, so <link> must always use r.elem('link', ...)
+    const helperTags = [
+        'address', 'article', 'aside', 'footer', 'header', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'main', 'nav', 'section',
+        'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'hr', 'li', 'ol', 'p', 'pre', 'ul',
+        'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'data', 'dfn', 'em', 'i', 'kbd', 'mark',
+        'q', 'rp', 'rt', 'ruby', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var',
+        'img', 'audio', 'video', 'track',
+        'table', 'caption', 'col', 'colgroup', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr',
+        'button', 'datalist', 'fieldset', 'form', 'input', 'label', 'legend', 'meter', 'optgroup', 'option',
+        'output', 'progress', 'select', 'textarea',
+        'canvas', 'slot', 'template',
+        'svg', 'g', 'defs', 'symbol', 'use', 'circle', 'ellipse', 'line', 'path', 'polygon', 'polyline', 'rect',
+        'text', 'tspan', 'textPath', 'image', 'linearGradient', 'radialGradient', 'stop', 'clipPath', 'mask',
+        'pattern', 'marker', 'filter', 'feGaussianBlur', 'feOffset', 'feBlend', 'feColorMatrix', 'feMerge',
+        'feMergeNode', 'foreignObject', 'desc', 'animate', 'animateTransform',
+        'math', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'mrow', 'mfrac', 'msqrt', 'mroot', 'msub', 'msup',
+        'msubsup', 'munder', 'mover', 'munderover', 'mtable', 'mtr', 'mtd', 'mstyle', 'semantics', 'annotation',
+        'iframe'
+    ];
+
+    // Same lists as rsf.js: boolean attributes become true, these SVG attributes keep their case
+    const booleanAttributes = [
+        'checked', 'disabled', 'required', 'readonly', 'selected',
+        'multiple', 'hidden', 'open', 'novalidate', 'autoplay',
+        'controls', 'default', 'reversed', 'async', 'defer'
+    ];
+
+    const svgCamelCaseAttributes = [
+        'attributeName', 'attributeType', 'baseFrequency', 'calcMode', 'clipPathUnits',
+        'diffuseConstant', 'edgeMode', 'filterUnits', 'gradientTransform', 'gradientUnits',
+        'kernelMatrix', 'kernelUnitLength', 'keyPoints', 'keySplines', 'keyTimes', 'lengthAdjust',
+        'limitingConeAngle', 'markerHeight', 'markerUnits', 'markerWidth', 'maskContentUnits',
+        'maskUnits', 'numOctaves', 'pathLength', 'patternContentUnits', 'patternTransform',
+        'patternUnits', 'pointsAtX', 'pointsAtY', 'pointsAtZ', 'preserveAlpha', 'preserveAspectRatio',
+        'primitiveUnits', 'refX', 'refY', 'repeatCount', 'repeatDur', 'requiredExtensions',
+        'specularConstant', 'specularExponent', 'spreadMethod', 'startOffset', 'stdDeviation',
+        'surfaceScale', 'systemLanguage', 'tableValues', 'targetX', 'targetY', 'textLength',
+        'viewBox', 'xChannelSelector', 'yChannelSelector', 'zoomAndPan'
+    ];
+
+    const voidTags = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+    // Content is text up to the closing tag; entities are decoded only in the escapable ones
+    const rawTextTags = ['script', 'style'];
+    const escapableRawTextTags = ['textarea', 'title'];
+
+    // Whitespace inside these is kept as written
+    const preformattedTags = ['pre', 'textarea', 'script', 'style'];
+
+    // Opening the key closes any of the listed elements still open (optional end tags)
+    const impliedEndTags = {
+        li: ['li'],
+        dt: ['dt', 'dd'],
+        dd: ['dt', 'dd'],
+        tr: ['tr', 'td', 'th'],
+        td: ['td', 'th'],
+        th: ['td', 'th'],
+        thead: ['tbody', 'tr', 'td', 'th'],
+        tbody: ['thead', 'tbody', 'tr', 'td', 'th'],
+        tfoot: ['thead', 'tbody', 'tr', 'td', 'th'],
+        option: ['option'],
+        optgroup: ['optgroup', 'option']
+    };
+
+    // Block elements that close an open <p>
+    const paragraphClosers = [
+        'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+        'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre',
+        'section', 'table', 'ul'
+    ];
+
+    const namedEntities = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0', copy: '©', reg: '®',
+        trade: '™', hellip: '…', mdash: '—', ndash: '–', laquo: '«', raquo: '»',
+        ldquo: '“', rdquo: '”', lsquo: '‘', rsquo: '’', bull: '•', middot: '·',
+        times: '×', divide: '÷', euro: '€', pound: '£', yen: '¥', cent: '¢',
+        deg: '°', para: '¶', sect: '§', larr: '←', rarr: '→', uarr: '↑', darr: '↓'
+    };
+
+    const canonicalTags = {};
+    helperTags.forEach(tag => { canonicalTags[tag.toLowerCase()] = tag; });
+    const canonicalSvgAttributes = {};
+    svgCamelCaseAttributes.forEach(attr => { canonicalSvgAttributes[attr.toLowerCase()] = attr; });
+
+    function decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
             }
+            return Object.prototype.hasOwnProperty.call(namedEntities, entity) ? namedEntities[entity] : match;
+        });
+    }
 
-            const spaces = ' '.repeat(indent);
+    // HTML text -> tree of { type: 'element' | 'text' | 'comment' | 'doctype', ... } nodes
+    function parse(html) {
+        const root = { type: 'root', tag: null, children: [] };
+        const stack = [root];
+        const current = () => stack[stack.length - 1];
+        const foreign = () => stack.some(node => node.tag === 'svg' || node.tag === 'math');
+        const tagPattern = /<([a-zA-Z][^\s/>]*)((?:\s*[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/y;
+        const attributePattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+        let index = 0;
 
-            // Check children
-            const children = Array.from(node.childNodes)
-                .map(child => nodeToRsf(child, indent + 4))
-                .filter(Boolean);
+        const addText = value => {
+            const parent = current();
+            const last = parent.children[parent.children.length - 1];
+            if (last && last.type === 'text') last.value += value;
+            else parent.children.push({ type: 'text', value });
+        };
 
-            // If there's only one child and it's pure text (no r.text wrapper needed)
-            if (children.length === 1 && node.childNodes.length === 1 && node.firstChild.nodeType === 3) {
-                const text = node.firstChild.textContent.trim();
-                if (text) {
-                    if (Object.keys(attrs).length === 0) {
-                        return `${spaces}r.${tag}("${text}")`;
-                    } else {
-                        return `${spaces}r.${tag}(${JSON.stringify(attrs)}, "${text}")`;
-                    }
+        const close = tag => {
+            for (let i = stack.length - 1; i > 0; i--) {
+                if (stack[i].tag.toLowerCase() === tag) {
+                    stack.length = i;
+                    return;
                 }
             }
+        };
 
-            // Multiple children or single non-text child
-            if (children.length > 0) {
-                const childrenStr = children.map(c => c + ';').join('\n');
-                if (Object.keys(attrs).length === 0) {
-                    return `${spaces}r.${tag}((r) => {\n${childrenStr}\n${spaces}})`;
-                } else {
-                    return `${spaces}r.${tag}(${JSON.stringify(attrs)}, (r) => {\n${childrenStr}\n${spaces}})`;
+        while (index < html.length) {
+            const next = html.indexOf('<', index);
+            if (next === -1) {
+                addText(decodeEntities(html.slice(index)));
+                break;
+            }
+            if (next > index) addText(decodeEntities(html.slice(index, next)));
+            index = next;
+
+            if (html.startsWith('<!--', index)) {
+                const end = html.indexOf('-->', index + 4);
+                current().children.push({ type: 'comment', value: html.slice(index + 4, end === -1 ? html.length : end) });
+                index = end === -1 ? html.length : end + 3;
+                continue;
+            }
+            if (/^<!doctype/i.test(html.slice(index, index + 9))) {
+                const end = html.indexOf('>', index);
+                current().children.push({ type: 'doctype', value: html.slice(index, end === -1 ? html.length : end + 1) });
+                index = end === -1 ? html.length : end + 1;
+                continue;
+            }
+            if (html.startsWith('<!', index) || html.startsWith('<?', index)) {
+                const end = html.indexOf('>', index);
+                index = end === -1 ? html.length : end + 1;
+                continue;
+            }
+
+            const closing = html.slice(index).match(/^<\/([a-zA-Z][^\s/>]*)[^>]*>/);
+            if (closing) {
+                close(closing[1].toLowerCase());
+                index += closing[0].length;
+                continue;
+            }
+
+            tagPattern.lastIndex = index;
+            const match = tagPattern.exec(html);
+            if (!match) {
+                addText('<');
+                index++;
+                continue;
+            }
+            index = tagPattern.lastIndex;
+
+            const inForeign = foreign();
+            const lower = match[1].toLowerCase();
+            const tag = inForeign || lower === 'svg' || lower === 'math' ? (canonicalTags[lower] || match[1]) : lower;
+
+            const attrs = [];
+            let attribute;
+            attributePattern.lastIndex = 0;
+            while ((attribute = attributePattern.exec(match[2]))) {
+                const name = inForeign || tag === 'svg' ? (canonicalSvgAttributes[attribute[1].toLowerCase()] || attribute[1]) : attribute[1].toLowerCase();
+                const raw = attribute[2] !== undefined ? attribute[2] : attribute[3] !== undefined ? attribute[3] : attribute[4];
+                if (!attrs.some(existing => existing[0] === name)) {
+                    attrs.push([name, raw === undefined ? null : decodeEntities(raw)]);
+                }
+            }
+
+            if (!inForeign) {
+                const closes = impliedEndTags[tag] || [];
+                while (closes.includes(current().tag)) stack.pop();
+                if (paragraphClosers.includes(tag) && stack.some(node => node.tag === 'p')) close('p');
+            }
+
+            const element = { type: 'element', tag, attrs, children: [] };
+            current().children.push(element);
+
+            if (rawTextTags.includes(tag) || escapableRawTextTags.includes(tag)) {
+                const end = html.toLowerCase().indexOf(`</${tag}`, index);
+                const content = html.slice(index, end === -1 ? html.length : end);
+                if (content) {
+                    element.children.push({ type: 'text', value: rawTextTags.includes(tag) ? content : decodeEntities(content) });
                 }
+                const closeEnd = end === -1 ? -1 : html.indexOf('>', end);
+                index = closeEnd === -1 ? html.length : closeEnd + 1;
+            } else if (!voidTags.includes(tag) && !(match[3] && (inForeign || tag === 'svg' || tag === 'math'))) {
+                stack.push(element);
             }
+        }
+
+        return root;
+    }
 
-            // No children
-            if (Object.keys(attrs).length === 0) {
-                return `${spaces}r.${tag}()`;
+    const quote = value => JSON.stringify(value);
+    const propertyKey = key => /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+
+    // Inverse of camelToKebab in rsf.js: data-bs-target -> dataBsTarget
+    const kebabToCamel = name => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+    // "color: red; margin-top: 4px" -> { color: "red", marginTop: "4px" }, or null to keep the string
+    function styleObject(css) {
+        const declarations = [];
+        let depth = 0;
+        let inQuote = null;
+        let start = 0;
+        for (let i = 0; i <= css.length; i++) {
+            const char = css[i];
+            if (inQuote) {
+                if (char === inQuote) inQuote = null;
+            } else if (char === '"' || char === '\'') {
+                inQuote = char;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth--;
+            } else if ((char === ';' && depth === 0) || i === css.length) {
+                if (css.slice(start, i).trim()) declarations.push(css.slice(start, i));
+                start = i + 1;
+            }
+        }
+
+        const style = {};
+        for (const declaration of declarations) {
+            const colon = declaration.indexOf(':');
+            if (colon === -1) return null;
+            const property = declaration.slice(0, colon).trim().toLowerCase();
+            const value = declaration.slice(colon + 1).trim();
+            // Object styles are assigned to element.style, which takes neither of these
+            if (property.startsWith('--') || /!important$/i.test(value)) return null;
+            style[kebabToCamel(property)] = value;
+        }
+        return style;
+    }
+
+    // Returns { props: 'code' | null, handlers: ['onclick="..."'] }
+    function propsCode(element) {
+        const entries = [];
+        const handlers = [];
+
+        element.attrs.forEach(([name, value]) => {
+            if (/^on/i.test(name)) {
+                // Inline handler code refers to globals and `this`; it has to be rewritten by hand
+                handlers.push(`${name}="${(value || '').replace(/\s+/g, ' ').trim()}"`);
+                return;
+            }
+
+            let code;
+            if (booleanAttributes.includes(name.toLowerCase())) {
+                code = 'true';
+            } else if (name === 'style' && value !== null) {
+                const style = styleObject(value);
+                code = style
+                    ? `{ ${Object.keys(style).map(key => `${propertyKey(key)}: ${quote(style[key])}`).join(', ')} }`
+                    : quote(value);
+                if (style && !Object.keys(style).length) return;
             } else {
-                return `${spaces}r.${tag}(${JSON.stringify(attrs)})`;
+                code = quote(value === null ? '' : value);
+            }
+
+            // Keys are written the way rsf turns them back into the attribute name
+            let key = name;
+            if (!name.includes(':') && !svgCamelCaseAttributes.includes(name) && name === name.toLowerCase()) {
+                key = kebabToCamel(name);
             }
+            entries.push(`${propertyKey(key)}: ${code}`);
+        });
+
+        return { props: entries.length ? `{ ${entries.join(', ')} }` : null, handlers };
+    }
+
+    // Drops indentation-only text and collapses whitespace the way the browser renders it
+    function visibleChildren(node, preformatted) {
+        if (preformatted) {
+            return node.children.map((child, i) => {
+                // The parser drops a newline right after <pre> and <textarea>
+                if (i === 0 && child.type === 'text' && (node.tag === 'pre' || node.tag === 'textarea')) {
+                    return Object.assign({}, child, { value: child.value.replace(/^\r?\n/, '') });
+                }
+                return child;
+            }).filter(child => child.type !== 'text' || child.value);
         }
 
-        try {
-            // Get all root level elements
-            const rootElements = Array.from(doc.body.children);
-            if (rootElements.length === 0) {
-                return '// No valid HTML elements found';
+        const children = node.children;
+        return children.map((child, i) => {
+            if (child.type !== 'text') return child;
+            let value = child.value.replace(/[ \t\n\r\f]+/g, ' ');
+            if (i === 0 || children[i - 1].type === 'comment' || children[i - 1].type === 'doctype') value = value.replace(/^ /, '');
+            if (i === children.length - 1) value = value.replace(/ $/, '');
+            if (value === ' ' && /[\n\r]/.test(child.value)) value = '';
+            return Object.assign({}, child, { value });
+        }).filter(child => child.type !== 'text' || child.value);
+    }
+
+    function convert(html, options = {}) {
+        const unit = ' '.repeat(options.indent === undefined ? 4 : options.indent);
+        const keepComments = options.comments !== false;
+
+        const commentLines = (text, spaces) => text.trim().split(/\r?\n/).map(line => `${spaces}// ${line.trim()}`);
+
+        // Statement lines for one node
+        function nodeLines(node, depth, preformatted) {
+            const spaces = unit.repeat(depth);
+
+            if (node.type === 'text') return [`${spaces}r.text(${quote(node.value)});`];
+            if (node.type === 'comment') return keepComments && node.value.trim() ? commentLines(node.value, spaces) : [];
+            if (node.type === 'doctype') {
+                return [`${spaces}// ${node.value.trim()} (pass { doctype: true } to createStatic or renderToString)`];
+            }
+
+            const { props, handlers } = propsCode(node);
+            const lines = handlers.map(handler => `${spaces}// TODO: convert ${handler} to an event handler prop`);
+            const pre = preformatted || preformattedTags.includes(node.tag);
+            const children = visibleChildren(node, pre);
+
+            const custom = canonicalTags[node.tag.toLowerCase()] !== node.tag;
+            // A string first argument of r.text() is a text node; SVG <text> needs props
+            const needsProps = custom || node.tag === 'text';
+            const args = custom ? [quote(node.tag)] : [];
+            if (props || needsProps) args.push(props || '{}');
+
+            const call = custom ? 'r.elem' : `r.${node.tag}`;
+            if (children.length === 1 && children[0].type === 'text') {
+                args.push(quote(children[0].value));
+                lines.push(`${spaces}${call}(${args.join(', ')});`);
+            } else if (children.length) {
+                const body = children.reduce((all, child) => all.concat(nodeLines(child, depth + 1, pre)), []);
+                if (!body.length) {
+                    lines.push(`${spaces}${call}(${args.join(', ')});`);
+                } else {
+                    args.push('r => {');
+                    lines.push(`${spaces}${call}(${args.join(', ')}`, ...body, `${spaces}});`);
+                }
+            } else {
+                lines.push(`${spaces}${call}(${args.join(', ')});`);
             }
+            return lines;
+        }
 
-            // Convert each root element and join them with semicolons
-            const rsfCode = rootElements
-                .map(el => nodeToRsf(el))
-                .join(';\n\n');
+        const root = parse(String(html));
+        const statements = visibleChildren(root, false)
+            .map(node => nodeLines(node, 0, false))
+            .filter(lines => lines.length)
+            .map(lines => lines.join('\n'));
+        return statements.join('\n\n');
+    }
 
-            return rsfCode + ';';
+    convert.parse = parse;
+    return convert;
+}());
+
+function renderHtmlToRsf(r) {
+    // Parse HTML to RSF code
+    function parseHTML(html) {
+        try {
+            return htmlToRsf(html.trim()) || '// No valid HTML elements found';
         } catch (error) {
             return `// Error parsing HTML: ${error.message}`;
         }
@@ -174,3 +467,12 @@ function renderHtmlToRsf(r) {
         });
     });
 }
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { htmlToRsf, renderHtmlToRsf };
+} else if (typeof window !== 'undefined') {
+    // Make globally available in browser
+    window.htmlToRsf = htmlToRsf;
+    window.renderHtmlToRsf = renderHtmlToRsf;
+}
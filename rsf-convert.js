@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * rsf-convert - print the RSF code for an HTML file
+ *
+ * Usage:
+ *   npx rsf-convert page.html
+ *   npx rsf-convert page.html --indent 2 --no-comments -o page.rsf.js
+ *   cat page.html | npx rsf-convert
+ */
+
+const fs = require('fs');
+const { htmlToRsf } = require('./renderHtmlToRsf.js');
+
+const usage = `Usage: rsf-convert [file.html] [options]
+
+Reads standard input when no file (or "-") is given.
+
+Options:
+  -o, --output <file>  Write the code to a file instead of standard output
+  --indent <n>         Spaces per indentation level (default 4)
+  --no-comments        Drop HTML comments
+  -h, --help           Show this help`;
+
+function fail(message) {
+    console.error(`rsf-convert: ${message}`);
+    console.error(usage);
+    process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const options = {};
+let input = '-';
+let output = null;
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-h' || arg === '--help') {
+        console.log(usage);
+        process.exit(0);
+    } else if (arg === '-o' || arg === '--output') {
+        output = args[++i];
+        if (!output) fail(`${arg} needs a file name`);
+    } else if (arg === '--indent') {
+        options.indent = Number(args[++i]);
+        if (!Number.isInteger(options.indent) || options.indent < 0) fail('--indent needs a number of spaces');
+    } else if (arg === '--no-comments') {
+        options.comments = false;
+    } else if (arg.startsWith('-') && arg !== '-') {
+        fail(`unknown option ${arg}`);
+    } else {
+        input = arg;
+    }
+}
+
+let html;
+try {
+    html = fs.readFileSync(input === '-' ? 0 : input, 'utf8');
+} catch (error) {
+    fail(`cannot read ${input === '-' ? 'standard input' : input}: ${error.message}`);
+}
+
+const code = htmlToRsf(html, options) + '\n';
+
+if (output) {
+    fs.writeFileSync(output, code);
+} else {
+    process.stdout.write(code);
+}
@@ -15,25 +15,164 @@
  *   const html = createStatic(r => {
  *       r.div({}, 'Hello World');
  *   });
+ *
+ * Hydration (pair with rsf.hydrate on the client):
+ *   const html = createStatic(App, { hydrate: true });
+ *
+ * Async content (child functions may be async and are awaited in order):
+ *   const html = await renderToString(App, { doctype: true });
+ *   renderToStream(App, { doctype: true }).pipe(res);
+ *
+ * Routes (r.Router renders options.url; lazy routes need renderToString):
+ *   const html = await renderToString(App, { url: '/users/42' });
+ *
+ * Rendered DOM in the same format (used by rsf-testing snapshots):
+ *   serializeNode(element)
  */
 
 (function (root, factory) {
     if (typeof define === 'function' && define.amd) {
-        define([], factory);
+        define(['./rsf'], factory);
     } else if (typeof module === 'object' && module.exports) {
-        module.exports = factory();
+        module.exports = factory(require('./rsf.js'));
     } else {
-        root.rsfStatic = factory();
+        root.rsfStatic = factory(root.rsf);
     }
-}(typeof self !== 'undefined' ? self : this, function () {
+}(typeof self !== 'undefined' ? self : this, function (rsf) {
 
-    function createStatic(renderFn) {
-        const booleanAttributes = [
-            'checked', 'disabled', 'required', 'readonly', 'selected',
-            'multiple', 'hidden', 'open', 'novalidate', 'autoplay',
-            'controls', 'default', 'reversed', 'async', 'defer'
-        ];
+    // Output is collected in a tree of buffers so that content rendered by an async
+    // child function lands in its place in the document, whenever it resolves.
+    // A buffer's parts are strings or child buffers; done is false while its
+    // render function is still running asynchronously
+    function createBuffer() {
+        return { parts: [], done: true, promise: null };
+    }
+
+    // Run fn(childR, ...args) into a new buffer appended to r's buffer
+    function renderInto(r, fn, ...args) {
+        const buffer = createBuffer();
+        r._buffer.parts.push(buffer);
+        const childR = Object.create(r);
+        childR._buffer = buffer;
+        const result = fn(childR, ...args);
+        if (result && typeof result.then === 'function') {
+            buffer.done = false;
+            buffer.promise = Promise.resolve(result).then(() => {
+                buffer.done = true;
+            });
+            // Awaited when the buffer is drained; avoid an early unhandled rejection
+            buffer.promise.catch(() => {});
+        }
+    }
+
+    function flattenBuffer(buffer) {
+        if (!buffer.done) {
+            throw new Error('RSF: createStatic cannot render async content, use renderToString or renderToStream');
+        }
+        return buffer.parts.map(part => (typeof part === 'string' ? part : flattenBuffer(part))).join('');
+    }
+
+    // Resolves once every async render under buffer has finished, not counting
+    // the style placeholders that are waiting for exactly that
+    function whenRendered(buffer) {
+        const pending = [];
+        const walk = part => {
+            if (typeof part === 'string' || part.styles) return;
+            if (!part.done) pending.push(part.promise);
+            part.parts.forEach(walk);
+        };
+        walk(buffer);
+        return pending.length ? Promise.all(pending).then(() => whenRendered(buffer)) : Promise.resolve();
+    }
+
+    function isSettled(buffer) {
+        return buffer.done && buffer.parts.every(part => typeof part === 'string' || isSettled(part));
+    }
+
+    // Yield HTML chunks in document order, waiting for async buffers as they are reached
+    async function* drainBuffer(buffer) {
+        let text = '';
+        let index = 0;
+        for (;;) {
+            if (index < buffer.parts.length) {
+                const part = buffer.parts[index++];
+                if (typeof part === 'string') {
+                    text += part;
+                } else if (isSettled(part)) {
+                    text += flattenBuffer(part);
+                } else {
+                    if (text) {
+                        yield text;
+                        text = '';
+                    }
+                    yield* drainBuffer(part);
+                }
+            } else if (buffer.done) {
+                break;
+            } else {
+                if (text) {
+                    yield text;
+                    text = '';
+                }
+                await buffer.promise;
+            }
+        }
+        if (text) yield text;
+    }
+
+    const booleanAttributes = [
+        'checked', 'disabled', 'required', 'readonly', 'selected',
+        'multiple', 'hidden', 'open', 'novalidate', 'autoplay',
+        'controls', 'default', 'reversed', 'async', 'defer'
+    ];
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    const selfClosingTags = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+    const escapeHtml = (text) => {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    };
+
+    // Markup of a DOM node in the same form createStatic writes it, so rendered
+    // DOM can be compared with (or snapshotted like) static output. Keyed list
+    // markers, the row keys they add and data-rsf-watching are left out unless
+    // options.internal is set; options.inner serializes the children only
+    function serializeNode(node, options = {}) {
+        if (node.nodeType === 3) return escapeHtml(node.nodeValue);
+        if (node.nodeType === 8) {
+            return !options.internal && /^\/?rsf-/.test(node.nodeValue) ? '' : `<!--${node.nodeValue}-->`;
+        }
+
+        let inList = false;
+        const children = Array.from(node.childNodes).map(child => {
+            if (child.nodeType === 8 && /^\/?rsf-each$/.test(child.nodeValue)) inList = child.nodeValue === 'rsf-each';
+            const childOptions = Object.assign({}, options, { inner: false, row: inList && !options.internal });
+            return serializeNode(child, childOptions);
+        }).join('');
+        if (node.nodeType !== 1 || options.inner) return children;
+
+        const tag = node.localName;
+        const attrs = Array.from(node.attributes).map(attr => {
+            if (!options.internal && (attr.name === 'data-rsf-watching' || (options.row && attr.name === 'data-key'))) return '';
+            return booleanAttributes.includes(attr.name) ? ` ${attr.name}` : ` ${attr.name}="${escapeHtml(attr.value)}"`;
+        }).join('');
+        return `<${tag}${attrs}>${children}${selfClosingTags.includes(tag) ? '' : `</${tag}>`}`;
+    }
+
+    function doctypeFor(options) {
+        if (!options.doctype) return '';
+        return typeof options.doctype === 'string' ? options.doctype : '<!DOCTYPE html>';
+    }
 
+    // Build the render tree; returns the root buffer and a function producing the
+    // trailing markup, called once all content has been rendered
+    function renderTree(renderFn, options) {
         const tags = [
             'html', 'head', 'body', 'title', 'meta', 'link', 'script', 'style',
             'address', 'article', 'aside', 'footer', 'header', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'main', 'nav', 'section',
@@ -44,44 +183,133 @@
             'table', 'caption', 'col', 'colgroup', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr',
             'button', 'datalist', 'fieldset', 'form', 'input', 'label', 'legend', 'meter', 'optgroup', 'option',
             'output', 'progress', 'select', 'textarea',
-            'canvas',
-            'svg', 'circle', 'rect', 'text', 'path',
+            'canvas', 'slot', 'template',
+            'svg', 'g', 'defs', 'symbol', 'use', 'circle', 'ellipse', 'line', 'path', 'polygon', 'polyline', 'rect',
+            'text', 'tspan', 'textPath', 'image', 'linearGradient', 'radialGradient', 'stop', 'clipPath', 'mask',
+            'pattern', 'marker', 'filter', 'feGaussianBlur', 'feOffset', 'feBlend', 'feColorMatrix', 'feMerge',
+            'feMergeNode', 'foreignObject', 'desc', 'animate', 'animateTransform',
+            'math', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'mrow', 'mfrac', 'msqrt', 'mroot', 'msub', 'msup',
+            'msubsup', 'munder', 'mover', 'munderover', 'mtable', 'mtr', 'mtd', 'mstyle', 'semantics', 'annotation',
             'iframe'
         ];
 
-        const selfClosingTags = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+        const rootBuffer = createBuffer();
 
-        let html = '';
+        // States in creation order; their values are serialized for hydration
+        const states = [];
+
+        // r.css rules by class name, and the r.styles() buffers they are written to
+        const cssRules = new Map();
+        const styleBuffers = [];
+
+        // Options such as persist are ignored: the server has no storage to read
+        // and the initial value is what the client hydrates from
+        class State {
+            constructor(initialValue) {
+                this._value = initialValue;
+                states.push(this);
+            }
+
+            get() {
+                return this._value;
+            }
+
+            peek() {
+                return this._value;
+            }
+
+            set(newValue) {
+                this._value = newValue;
+            }
+
+            get value() {
+                return this._value;
+            }
+
+            set value(newValue) {
+                this.set(newValue);
+            }
+
+            update(updaterFn) {
+                this.set(updaterFn(this._value));
+                return this;
+            }
+
+            // No history is recorded while rendering once
+            get canUndo() {
+                return false;
+            }
+
+            get canRedo() {
+                return false;
+            }
+        }
+
+        // JSON that is safe to place inside a <script> element
+        const serialize = value => JSON.stringify(value)
+            .replace(/</g, '\\u003c')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029');
 
         const camelToKebab = str => str.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
 
-        const escapeHtml = (text) => {
-            return String(text)
-                .replace(/&/g, '&amp;')
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;')
-                .replace(/"/g, '&quot;')
-                .replace(/'/g, '&#039;');
+        // rsf.js's naming (xlinkHref -> xlink:href, viewBox stays viewBox in SVG), which
+        // takes a namespace URI where this renderer tracks 'svg' or 'math'
+        const attributeName = (key, namespace) => rsf.attributeName(key, namespace === 'svg' ? SVG_NS : null);
+
+        // Value of a bind prop as the client would first render it
+        const boundValue = (bind, tag, props) => {
+            const args = Array.isArray(bind) ? bind : [bind];
+            const options = args.slice(1).find(arg => arg && typeof arg === 'object') || {};
+            const value = args[0].get();
+            if (options.format) return options.format(value);
+            if (props.type === 'checkbox') return Boolean(value);
+            if (tag === 'select' && props.multiple) return (value || []).map(String);
+            return value === null || value === undefined ? '' : String(value);
         };
 
         const r = {
+            State,
+            _router: null,
+            _buffer: rootBuffer,
+            _boundSelect: undefined,
+            _namespace: null,
+            _context: null,
+
             elem(tag = 'div', props = {}, content) {
-                const childContent = content;
+                let childContent = content;
+                let bound;
+                const namespace = tag === 'svg' || tag === 'math' ? tag : this._namespace;
+
+                if (props.bind) {
+                    bound = boundValue(props.bind, tag, props);
+                }
 
                 // Build attribute string
                 let attrs = '';
                 Object.entries(props).forEach(([key, value]) => {
                     // Skip special RSF properties
-                    if (key === 'watch' || key === 'html') return;
+                    if (key === 'html' || key === 'unsafeHtml' || key === 'bind') return;
+                    if (key === 'watch') {
+                        // Marks the container for rsf.hydrate
+                        if (options.hydrate) attrs += ' data-rsf-watching=""';
+                        return;
+                    }
+                    if (bound !== undefined && key === 'value' && tag === 'input' && props.type !== 'radio') return;
 
-                    const attr = camelToKebab(key);
+                    const attr = attributeName(key, namespace);
+
+                    if (rsf.isSafeUrl.attributes.includes(attr) && !rsf.isSafeUrl(value, attr)) {
+                        console.warn(`RSF: Blocked unsafe URL in ${attr} of <${tag}>`, value);
+                        return;
+                    }
 
                     if (key === 'style') {
                         if (typeof value === 'object') {
                             const styleStr = Object.entries(value)
                                 .map(([k, v]) => `${camelToKebab(k)}: ${v}`)
                                 .join('; ');
-                            attrs += ` style="${styleStr}"`;
+                            attrs += ` style="${escapeHtml(styleStr)}"`;
                         } else {
                             attrs += ` style="${escapeHtml(value)}"`;
                         }
@@ -89,42 +317,203 @@
                         if (value === true) {
                             attrs += ` ${attr}`;
                         }
-                    } else if (typeof value === 'function') {
+                    } else if (typeof value === 'function' || key === 'on' || (/^on[A-Z]/.test(key) && typeof value === 'object')) {
                         // Skip event handlers in static generation
                     } else {
                         attrs += ` ${attr}="${escapeHtml(value)}"`;
                     }
                 });
 
+                if (bound !== undefined) {
+                    if (tag === 'input' && props.type === 'checkbox') {
+                        if (bound) attrs += ' checked';
+                    } else if (tag === 'input' && props.type === 'radio') {
+                        if (bound === String(props.value)) attrs += ' checked';
+                    } else if (tag === 'input') {
+                        attrs += ` value="${escapeHtml(bound)}"`;
+                    } else if (tag === 'textarea') {
+                        childContent = bound;
+                    }
+                }
+
+                if (tag === 'option' && this._boundSelect !== undefined && props.value !== undefined && !props.selected) {
+                    const selected = this._boundSelect;
+                    if (Array.isArray(selected) ? selected.includes(String(props.value)) : selected === String(props.value)) {
+                        attrs += ' selected';
+                    }
+                }
+
                 // Build opening tag
-                html += `<${tag}${attrs}>`;
+                this._buffer.parts.push(`<${tag}${attrs}>`);
 
                 // Handle content
                 if (typeof childContent === 'function') {
-                    childContent(this);
+                    renderInto(this, childR => {
+                        // The content of a foreignObject is HTML again
+                        childR._namespace = tag === 'foreignObject' ? null : namespace;
+                        // Options of a bound select are marked selected
+                        if (tag === 'select' && bound !== undefined) childR._boundSelect = bound;
+                        return childContent(childR);
+                    });
                 } else if (childContent !== undefined) {
-                    if (props.html === true) {
-                        html += String(childContent);
+                    if (props.unsafeHtml) {
+                        this._buffer.parts.push(String(childContent));
+                    } else if (props.html) {
+                        this._buffer.parts.push(rsf.sanitize(childContent, props.html === true ? undefined : props.html));
                     } else {
-                        html += escapeHtml(childContent);
+                        this._buffer.parts.push(escapeHtml(childContent));
                     }
                 }
 
                 // Closing tag (skip for self-closing tags)
                 if (!selfClosingTags.includes(tag)) {
-                    html += `</${tag}>`;
+                    this._buffer.parts.push(`</${tag}>`);
+                }
+            },
+
+            text(content, elementContent) {
+                // r.text(props, content) is the SVG <text> element
+                if (content !== null && typeof content === 'object') {
+                    return this.elem('text', content, elementContent);
+                }
+                this._buffer.parts.push(escapeHtml(content));
+            },
+
+            // Derived state is just evaluated; effects are browser side effects and never run
+            computed(fn) {
+                return { get: fn, peek: fn, get value() { return fn(); } };
+            },
+
+            effect() {
+                return () => {};
+            },
+
+            batch(fn) {
+                return fn();
+            },
+
+            flush() {},
+
+            tick() {
+                return Promise.resolve();
+            },
+
+            // The client router pinned to options.url; lazy routes are awaited in place
+            Router: function (routerOptions) {
+                const router = new rsf.Router(Object.assign({}, routerOptions, { url: options.url || '/' }));
+                router._prerender = true;
+                r._router = router;
+                return router;
+            },
+
+            // Scoped styles: the class name, with its rules collected for r.styles()
+            css(input, ...values) {
+                const { className, rules } = rsf.compileCss(input, ...values);
+                if (!cssRules.has(className)) cssRules.set(className, rules.join('\n'));
+                return className;
+            },
+
+            // Placeholder for the <style> with every rule collected by r.css; put it in <head>
+            styles() {
+                const buffer = createBuffer();
+                buffer.styles = true;
+                this._buffer.parts.push(buffer);
+                styleBuffers.push(buffer);
+            },
+
+            // Nothing is fetched statically: resources stay loading with their initial data
+            Resource: function (fetcher, resourceOptions = {}) {
+                const value = v => ({ get: () => v, peek: () => v, get value() { return v; } });
+                const noop = () => {};
+                return {
+                    data: value(resourceOptions.initial),
+                    loading: value(true),
+                    error: value(null),
+                    refetch: noop,
+                    mutate: noop,
+                    abort: noop,
+                    dispose: noop
+                };
+            },
+
+            // The client's form model: fields render their initial values and constraint attributes
+            Form: function (formOptions) {
+                return new rsf.Form(formOptions);
+            },
+
+            // Same branches as rsf.js, so hydration finds the markup it renders
+            suspense(resources, suspenseOptions, render) {
+                if (typeof suspenseOptions === 'function') {
+                    render = suspenseOptions;
+                    suspenseOptions = {};
+                }
+                const list = [].concat(resources);
+                const { fallback, error, tag = 'div', ...props } = suspenseOptions;
+                const watch = list.reduce((states, resource) => states.concat(resource.data, resource.loading, resource.error), []);
+                return this.elem(tag, Object.assign(props, { watch }), r => {
+                    const failed = list.find(resource => resource.error.get());
+                    if (failed) {
+                        if (error) error(r, failed.error.get(), () => failed.refetch());
+                    } else if (list.some(resource => resource.loading.get() && resource.data.get() === undefined)) {
+                        if (fallback) fallback(r);
+                    } else {
+                        render(r, ...list.map(resource => resource.data.get()));
+                    }
+                });
+            },
+
+            // Just the container; the animations only run in the browser
+            transition(transitionOptions, render) {
+                const { name, enter, leave, duration, easing, move, appear, tag = 'div', ...props } = transitionOptions;
+                return this.elem(tag, props, render);
+            },
+
+            // A router link given a to prop, otherwise the <link> element
+            link(propsOrContent, content) {
+                if (!propsOrContent || typeof propsOrContent !== 'object' || propsOrContent.to === undefined) {
+                    return this.elem('link', propsOrContent || {}, content);
+                }
+                const router = propsOrContent.router || r._router;
+                if (!router) {
+                    throw new Error('RSF: r.link needs a router, create one with r.Router first');
+                }
+                const props = Object.assign({}, propsOrContent);
+                delete props.router;
+                return router.link(this, props, content);
+            },
+
+            // Lifecycle hooks never fire for static HTML
+            onMount() {},
+
+            onCleanup() {},
+
+            // Portals render into another part of the page, so only the client renders them
+            portal() {},
+
+            // Each element renders with its own r, which scopes provided values to its content
+            provide(key, value) {
+                this._context = { key, value, parent: this._context };
+            },
+
+            inject(key, fallback) {
+                for (let context = this._context; context; context = context.parent) {
+                    if (context.key === key) return context.value;
                 }
+                return fallback;
             },
 
-            text(content) {
-                html += escapeHtml(content);
+            // Keyed lists have nothing to track statically, so render each item in order
+            each(state, keyFn, itemRenderFn) {
+                const items = typeof state.get === 'function' ? state.get() : state;
+                (items || []).forEach((item, index) => renderInto(this, itemRenderFn, item, index));
             }
         };
 
         // Add tag methods
         tags.forEach(tag => {
-            // Skip 'text' tag to avoid overriding r.text() method
-            if (tag === 'text') return;
+            // Skip 'text' tag to avoid overriding r.text(), which also creates SVG <text> given props,
+            // and 'link', which is also the router link
+            if (tag === 'text' || tag === 'link') return;
 
             r[tag] = function (propsOrContent, content) {
                 if (typeof propsOrContent === 'string' || typeof propsOrContent === 'function') {
@@ -136,10 +525,88 @@
         });
 
         // Execute render function
-        renderFn(r);
+        renderInto(r, renderFn);
+
+        // Rules from r.css, written into the r.styles() placeholders once the whole
+        // document has rendered (when streaming, output waits there until then)
+        const fillStyles = () => {
+            const names = Array.from(cssRules.keys()).join(' ');
+            const text = Array.from(cssRules.values()).join('\n').replace(/<\/style/gi, '<\\/style');
+            styleBuffers.forEach(buffer => {
+                buffer.parts = [`<style data-rsf-css="${names}">${text}</style>`];
+                buffer.done = true;
+            });
+        };
+        const stylesReady = () => {
+            if (!styleBuffers.length) return;
+            styleBuffers.forEach(buffer => {
+                buffer.done = false;
+                buffer.promise = whenRendered(rootBuffer).then(fillStyles);
+                buffer.promise.catch(() => {});
+            });
+        };
+
+        const finish = () => (options.hydrate
+            ? `<script type="application/json" data-rsf-state>${serialize(states.map(state => state._value))}</script>`
+            : '');
 
+        return { buffer: rootBuffer, finish, fillStyles, stylesReady };
+    }
+
+    function createStatic(renderFn, options = {}) {
+        const { buffer, finish, fillStyles } = renderTree(renderFn, options);
+        fillStyles();
+        return doctypeFor(options) + flattenBuffer(buffer) + finish();
+    }
+
+    async function* renderChunks(renderFn, options) {
+        const doctype = doctypeFor(options);
+        if (doctype) yield doctype;
+        const { buffer, finish, stylesReady } = renderTree(renderFn, options);
+        stylesReady();
+        yield* drainBuffer(buffer);
+        const trailer = finish();
+        if (trailer) yield trailer;
+    }
+
+    // Render, awaiting async child functions in document order
+    async function renderToString(renderFn, options = {}) {
+        let html = '';
+        for await (const chunk of renderChunks(renderFn, options)) {
+            html += chunk;
+        }
         return html;
     }
 
-    return { createStatic };
+    // Stream HTML as it is produced: a Node Readable in Node.js, otherwise (or
+    // with { web: true }) a web ReadableStream
+    function renderToStream(renderFn, options = {}) {
+        const isNode = typeof process !== 'undefined' && process.versions && process.versions.node;
+        if (isNode && !options.web) {
+            const { Readable } = require('stream');
+            return Readable.from(renderChunks(renderFn, options));
+        }
+
+        const chunks = renderChunks(renderFn, options);
+        const encoder = new TextEncoder();
+        return new ReadableStream({
+            async pull(controller) {
+                try {
+                    const { value, done } = await chunks.next();
+                    if (done) {
+                        controller.close();
+                    } else {
+                        controller.enqueue(encoder.encode(value));
+                    }
+                } catch (error) {
+                    controller.error(error);
+                }
+            },
+            cancel() {
+                return chunks.return();
+            }
+        });
+    }
+
+    return { createStatic, renderToString, renderToStream, serializeNode };
 }));
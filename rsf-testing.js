@@ -0,0 +1,1375 @@
+/**
+ * RSF Testing Utilities
+ *
+ * Mount RSF apps in Node (or a browser test runner), query the result the way a
+ * user would find things, fire events and compare snapshots with createStatic.
+ * When there is no global document, a small built-in DOM is installed, so no
+ * jsdom is needed.
+ *
+ * Usage (Node.js):
+ *   const { mount, fireEvent, type, serialize, cleanup } = require('rsfjs/testing');
+ *
+ *   const view = mount(r => {
+ *       const count = new r.State(0);
+ *       r.button({ click: () => count.update(n => n + 1), watch: count }, r => r.text(`Count: ${count.get()}`));
+ *   });
+ *   fireEvent.click(view.getByRole('button'));
+ *   view.getByText('Count: 1');
+ *   serialize(view);  // '<button>Count: 1</button>'
+ *   cleanup();
+ */
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define(['./rsf', './rsf-static'], factory);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rsf.js'), require('./rsf-static.js'), require('./renderHtmlToRsf.js').htmlToRsf);
+    } else {
+        root.rsfTesting = factory(root.rsf, root.rsfStatic, root.htmlToRsf);
+    }
+}(typeof self !== 'undefined' ? self : this, function (rsf, rsfStatic, htmlToRsf) {
+
+    const HTML_NS = 'http://www.w3.org/1999/xhtml';
+
+    const camelToKebab = str => str.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+    // Events that do not bubble when fired with fireEvent
+    const nonBubblingEvents = ['focus', 'blur', 'load', 'unload', 'scroll', 'error', 'abort', 'invalid', 'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave'];
+
+    // Built-in DOM: events
+
+    class Event {
+        constructor(type, init = {}) {
+            Object.assign(this, this.constructor.defaults, init);
+            this.type = type;
+            this.bubbles = Boolean(init.bubbles);
+            this.cancelable = Boolean(init.cancelable);
+            this.composed = Boolean(init.composed);
+            this.defaultPrevented = false;
+            this.cancelBubble = false;
+            this.target = null;
+            this.currentTarget = null;
+            this.eventPhase = 0;
+            this.timeStamp = Date.now();
+            this._stopImmediate = false;
+        }
+
+        preventDefault() {
+            if (this.cancelable) this.defaultPrevented = true;
+        }
+
+        stopPropagation() {
+            this.cancelBubble = true;
+        }
+
+        stopImmediatePropagation() {
+            this.cancelBubble = true;
+            this._stopImmediate = true;
+        }
+    }
+    Event.defaults = {};
+
+    const modifierKeys = { altKey: false, ctrlKey: false, metaKey: false, shiftKey: false };
+
+    class CustomEvent extends Event {}
+    CustomEvent.defaults = { detail: null };
+
+    class KeyboardEvent extends Event {}
+    KeyboardEvent.defaults = Object.assign({ key: '', code: '', repeat: false }, modifierKeys);
+
+    class MouseEvent extends Event {}
+    MouseEvent.defaults = Object.assign({ button: 0, buttons: 0, clientX: 0, clientY: 0, detail: 1 }, modifierKeys);
+
+    class FocusEvent extends Event {}
+    FocusEvent.defaults = { relatedTarget: null };
+
+    class InputEvent extends Event {}
+    InputEvent.defaults = { data: null, inputType: '' };
+
+    // rsf's event delegation redefines currentTarget, so it is never assigned directly
+    function setCurrentTarget(event, node) {
+        Object.defineProperty(event, 'currentTarget', { value: node, configurable: true, writable: true });
+    }
+
+    class EventTarget {
+        addEventListener(type, callback, options) {
+            if (!callback) return;
+            const capture = typeof options === 'boolean' ? options : Boolean(options && options.capture);
+            this._listeners = this._listeners || {};
+            const listeners = this._listeners[type] = this._listeners[type] || [];
+            if (listeners.some(entry => entry.callback === callback && entry.capture === capture)) return;
+            listeners.push({ callback, capture, once: Boolean(options && options.once), removed: false });
+        }
+
+        removeEventListener(type, callback, options) {
+            const capture = typeof options === 'boolean' ? options : Boolean(options && options.capture);
+            const listeners = (this._listeners && this._listeners[type]) || [];
+            const index = listeners.findIndex(entry => entry.callback === callback && entry.capture === capture);
+            if (index !== -1) {
+                listeners[index].removed = true;
+                listeners.splice(index, 1);
+            }
+        }
+
+        // Capture from the top, the target itself, then bubble. A handler that
+        // throws does not stop the others; the first error is rethrown at the end
+        dispatchEvent(event) {
+            const path = [];
+            // Composed events continue from a shadow root to its host (without retargeting)
+            for (let node = this; node; node = node.parentNode || (event.composed && node.host) || null) path.push(node);
+            event.target = this;
+            let error = null;
+
+            const invoke = (node, phase) => {
+                setCurrentTarget(event, node);
+                event.eventPhase = node === this ? 2 : phase;
+                const listeners = ((node._listeners && node._listeners[event.type]) || []).slice();
+                for (const entry of listeners) {
+                    if (entry.removed || event._stopImmediate) continue;
+                    if (node !== this && entry.capture !== (phase === 1)) continue;
+                    if (entry.once) node.removeEventListener(event.type, entry.callback, entry.capture);
+                    try {
+                        if (typeof entry.callback === 'function') entry.callback.call(node, event);
+                        else entry.callback.handleEvent(event);
+                    } catch (e) {
+                        if (!error) error = e;
+                    }
+                }
+            };
+
+            for (let i = path.length - 1; i > 0 && !event.cancelBubble; i--) invoke(path[i], 1);
+            if (!event.cancelBubble) invoke(this, 2);
+            if (event.bubbles) {
+                for (let i = 1; i < path.length && !event.cancelBubble; i++) invoke(path[i], 3);
+            }
+
+            event.eventPhase = 0;
+            setCurrentTarget(event, null);
+            if (error) throw error;
+            return !event.defaultPrevented;
+        }
+    }
+
+    // Built-in DOM: selectors (type, #id, .class, [attr op value], :not(),
+    // :first-child, :last-child, :checked, :disabled and the four combinators)
+
+    function parseCompound(text) {
+        const compound = { tag: null, ids: [], classes: [], attrs: [], pseudos: [] };
+        const pattern = /^(?:(\*|[\w-]+)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]|:([\w-]+)(?:\(([^)]*)\))?)/;
+        let rest = text;
+        while (rest) {
+            const match = rest.match(pattern);
+            if (!match) throw new Error(`RSF: Unsupported selector "${text}"`);
+            if (match[1]) compound.tag = match[1].toLowerCase();
+            else if (match[2]) compound.ids.push(match[2]);
+            else if (match[3]) compound.classes.push(match[3]);
+            else if (match[4]) compound.attrs.push({ name: match[4], op: match[5], value: match[6] !== undefined ? match[6] : match[7] !== undefined ? match[7] : match[8] });
+            else compound.pseudos.push({ name: match[9], arg: match[10] });
+            rest = rest.slice(match[0].length);
+        }
+        return compound;
+    }
+
+    const selectorCache = new Map();
+
+    // "ul > li.done, p" -> [[{ combinator, compound }, ...], ...]
+    function parseSelector(selector) {
+        if (selectorCache.has(selector)) return selectorCache.get(selector);
+        const list = [];
+        let parts = [];
+        let token = '';
+        let combinator = null;
+        let depth = 0;
+        let quote = null;
+
+        const endToken = () => {
+            if (!token) return;
+            parts.push({ combinator: parts.length ? combinator || ' ' : null, compound: parseCompound(token) });
+            token = '';
+            combinator = null;
+        };
+
+        for (const char of `${selector},`) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === '[' || char === '(') {
+                depth++;
+            } else if (char === ']' || char === ')') {
+                depth--;
+            } else if (depth === 0 && char === ',') {
+                endToken();
+                list.push(parts);
+                parts = [];
+                continue;
+            } else if (depth === 0 && /[\s>+~]/.test(char)) {
+                endToken();
+                if (!/\s/.test(char)) combinator = char;
+                continue;
+            }
+            token += char;
+        }
+
+        selectorCache.set(selector, list);
+        return list;
+    }
+
+    function matchesCompound(element, compound) {
+        if (compound.tag && compound.tag !== '*' && element.localName.toLowerCase() !== compound.tag) return false;
+        if (compound.ids.some(id => element.getAttribute('id') !== id)) return false;
+        const classes = (element.getAttribute('class') || '').split(/\s+/);
+        if (compound.classes.some(name => !classes.includes(name))) return false;
+        const attrsMatch = compound.attrs.every(({ name, op, value }) => {
+            const actual = element.getAttribute(name);
+            if (actual === null) return false;
+            switch (op) {
+                case undefined: return true;
+                case '=': return actual === value;
+                case '~=': return actual.split(/\s+/).includes(value);
+                case '^=': return actual.startsWith(value);
+                case '$=': return actual.endsWith(value);
+                case '*=': return actual.includes(value);
+                default: return actual === value || actual.startsWith(`${value}-`);
+            }
+        });
+        if (!attrsMatch) return false;
+        return compound.pseudos.every(({ name, arg }) => {
+            switch (name) {
+                case 'not': return !element.matches(arg);
+                case 'first-child': return !element.previousElementSibling;
+                case 'last-child': return !element.nextElementSibling;
+                case 'checked': return element.localName === 'option' ? element.selected : Boolean(element.checked);
+                case 'disabled': return element.hasAttribute('disabled');
+                default: throw new Error(`RSF: Unsupported selector ":${name}"`);
+            }
+        });
+    }
+
+    function matchesComplex(element, parts, index) {
+        if (!matchesCompound(element, parts[index].compound)) return false;
+        if (index === 0) return true;
+        switch (parts[index].combinator) {
+            case '>':
+                return Boolean(element.parentElement) && matchesComplex(element.parentElement, parts, index - 1);
+            case '+':
+                return Boolean(element.previousElementSibling) && matchesComplex(element.previousElementSibling, parts, index - 1);
+            case '~':
+                for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+                    if (matchesComplex(sibling, parts, index - 1)) return true;
+                }
+                return false;
+            default:
+                for (let ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+                    if (matchesComplex(ancestor, parts, index - 1)) return true;
+                }
+                return false;
+        }
+    }
+
+    function elementMatches(element, selector) {
+        return parseSelector(selector).some(parts => matchesComplex(element, parts, parts.length - 1));
+    }
+
+    // Built-in DOM: nodes
+
+    class Node extends EventTarget {
+        constructor(ownerDocument, nodeType, nodeName) {
+            super();
+            this.ownerDocument = ownerDocument;
+            this.nodeType = nodeType;
+            this.nodeName = nodeName;
+            this.parentNode = null;
+            this.childNodes = [];
+        }
+
+        get nodeValue() {
+            return null;
+        }
+
+        set nodeValue(value) {}
+
+        get parentElement() {
+            return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null;
+        }
+
+        get firstChild() {
+            return this.childNodes[0] || null;
+        }
+
+        get lastChild() {
+            return this.childNodes[this.childNodes.length - 1] || null;
+        }
+
+        get nextSibling() {
+            return this.parentNode ? this.parentNode.childNodes[this.parentNode.childNodes.indexOf(this) + 1] || null : null;
+        }
+
+        get previousSibling() {
+            return this.parentNode ? this.parentNode.childNodes[this.parentNode.childNodes.indexOf(this) - 1] || null : null;
+        }
+
+        get children() {
+            return this.childNodes.filter(node => node.nodeType === 1);
+        }
+
+        get firstElementChild() {
+            return this.children[0] || null;
+        }
+
+        get lastElementChild() {
+            const children = this.children;
+            return children[children.length - 1] || null;
+        }
+
+        get nextElementSibling() {
+            let node = this.nextSibling;
+            while (node && node.nodeType !== 1) node = node.nextSibling;
+            return node;
+        }
+
+        get previousElementSibling() {
+            let node = this.previousSibling;
+            while (node && node.nodeType !== 1) node = node.previousSibling;
+            return node;
+        }
+
+        get textContent() {
+            return this.childNodes.map(node => (node.nodeType === 8 ? '' : node.textContent)).join('');
+        }
+
+        set textContent(value) {
+            this.childNodes.slice().forEach(node => this.removeChild(node));
+            const text = value === null || value === undefined ? '' : String(value);
+            if (text) this.appendChild(this.ownerDocument.createTextNode(text));
+        }
+
+        get isConnected() {
+            const root = this.getRootNode();
+            return root.nodeType === 9 || Boolean(root.host && root.host.isConnected);
+        }
+
+        getRootNode() {
+            let node = this;
+            while (node.parentNode) node = node.parentNode;
+            return node;
+        }
+
+        hasChildNodes() {
+            return this.childNodes.length > 0;
+        }
+
+        contains(node) {
+            for (let current = node; current; current = current.parentNode) {
+                if (current === this) return true;
+            }
+            return false;
+        }
+
+        insertBefore(node, reference) {
+            if (node.nodeType === 11) {
+                node.childNodes.slice().forEach(child => this.insertBefore(child, reference));
+                return node;
+            }
+            if (node.contains(this)) throw new Error('RSF: Cannot insert a node into itself');
+            if (node.parentNode) node.parentNode.removeChild(node);
+            const index = reference ? this.childNodes.indexOf(reference) : -1;
+            if (reference && index === -1) throw new Error('RSF: The reference node is not a child of this node');
+            this.childNodes.splice(index === -1 ? this.childNodes.length : index, 0, node);
+            node.parentNode = this;
+            if (node.isConnected) runCustomCallbacks(node, 'connectedCallback');
+            return node;
+        }
+
+        appendChild(node) {
+            return this.insertBefore(node, null);
+        }
+
+        removeChild(node) {
+            const index = this.childNodes.indexOf(node);
+            if (index === -1) throw new Error('RSF: The node to remove is not a child of this node');
+            const wasConnected = node.isConnected;
+            this.childNodes.splice(index, 1);
+            node.parentNode = null;
+            if (wasConnected) runCustomCallbacks(node, 'disconnectedCallback');
+            const document = this.ownerDocument || this;
+            if (document._activeElement && node.contains(document._activeElement)) document._activeElement = null;
+            return node;
+        }
+
+        replaceChild(node, old) {
+            this.insertBefore(node, old);
+            return this.removeChild(old);
+        }
+
+        remove() {
+            if (this.parentNode) this.parentNode.removeChild(this);
+        }
+
+        cloneNode(deep) {
+            const copy = this._cloneShallow();
+            if (deep) this.childNodes.forEach(child => copy.appendChild(child.cloneNode(true)));
+            return copy;
+        }
+
+        querySelectorAll(selector) {
+            const found = [];
+            const walk = node => node.childNodes.forEach(child => {
+                if (child.nodeType !== 1) return;
+                if (elementMatches(child, selector)) found.push(child);
+                walk(child);
+            });
+            walk(this);
+            return found;
+        }
+
+        querySelector(selector) {
+            return this.querySelectorAll(selector)[0] || null;
+        }
+
+        get innerHTML() {
+            return rsfStatic.serializeNode(this, { inner: true, internal: true });
+        }
+
+        set innerHTML(html) {
+            this.childNodes.slice().forEach(node => this.removeChild(node));
+            const text = html === null || html === undefined ? '' : String(html);
+            if (!text) return;
+            if (!htmlToRsf) throw new Error('RSF: Setting innerHTML needs renderHtmlToRsf.js');
+            const document = this.ownerDocument || this;
+            const build = (parent, nodes, namespace) => nodes.forEach(node => {
+                if (node.type === 'text') {
+                    parent.appendChild(document.createTextNode(node.value));
+                } else if (node.type === 'comment') {
+                    parent.appendChild(document.createComment(node.value));
+                } else if (node.type === 'element') {
+                    const ns = node.tag === 'svg' ? 'http://www.w3.org/2000/svg'
+                        : node.tag === 'math' ? 'http://www.w3.org/1998/Math/MathML'
+                            : namespace;
+                    const element = document.createElementNS(ns, node.tag);
+                    node.attrs.forEach(([name, value]) => element.setAttribute(name, value === null ? '' : value));
+                    parent.appendChild(element);
+                    build(element, node.children, node.tag === 'foreignObject' ? HTML_NS : ns);
+                }
+            });
+            build(this, htmlToRsf.parse(text).children, this.namespaceURI || HTML_NS);
+        }
+    }
+
+    class CharacterData extends Node {
+        constructor(ownerDocument, nodeType, nodeName, data) {
+            super(ownerDocument, nodeType, nodeName);
+            this.data = String(data);
+        }
+
+        get nodeValue() {
+            return this.data;
+        }
+
+        set nodeValue(value) {
+            this.data = String(value);
+        }
+
+        get textContent() {
+            return this.data;
+        }
+
+        set textContent(value) {
+            this.data = String(value);
+        }
+
+        get length() {
+            return this.data.length;
+        }
+    }
+
+    class Text extends CharacterData {
+        constructor(ownerDocument, data) {
+            super(ownerDocument, 3, '#text', data);
+        }
+
+        splitText(offset) {
+            const rest = this.ownerDocument.createTextNode(this.data.slice(offset));
+            this.data = this.data.slice(0, offset);
+            if (this.parentNode) this.parentNode.insertBefore(rest, this.nextSibling);
+            return rest;
+        }
+
+        _cloneShallow() {
+            return new Text(this.ownerDocument, this.data);
+        }
+    }
+
+    class Comment extends CharacterData {
+        constructor(ownerDocument, data) {
+            super(ownerDocument, 8, '#comment', data);
+        }
+
+        _cloneShallow() {
+            return new Comment(this.ownerDocument, this.data);
+        }
+    }
+
+    class DocumentFragment extends Node {
+        constructor(ownerDocument) {
+            super(ownerDocument, 11, '#document-fragment');
+        }
+
+        _cloneShallow() {
+            return new DocumentFragment(this.ownerDocument);
+        }
+    }
+
+    class ShadowRoot extends DocumentFragment {
+        constructor(host, mode) {
+            super(host.ownerDocument);
+            this.host = host;
+            this.mode = mode === 'closed' ? 'closed' : 'open';
+        }
+    }
+
+    // element.style: camelCase properties and setProperty() read and write the style attribute,
+    // which is written "name: value; name: value" like createStatic writes object styles
+    function createStyle(element) {
+        const read = () => {
+            const declarations = new Map();
+            (element.getAttribute('style') || '').split(';').forEach(declaration => {
+                const colon = declaration.indexOf(':');
+                if (colon > 0) declarations.set(declaration.slice(0, colon).trim(), declaration.slice(colon + 1).trim());
+            });
+            return declarations;
+        };
+        const write = declarations => {
+            if (!declarations.size) element.removeAttribute('style');
+            else element.setAttribute('style', Array.from(declarations).map(([name, value]) => `${name}: ${value}`).join('; '));
+        };
+        const propertyName = key => (key === 'cssFloat' ? 'float' : key.startsWith('--') ? key : camelToKebab(key));
+        const methods = {
+            getPropertyValue: name => read().get(name) || '',
+            setProperty: (name, value) => {
+                const declarations = read();
+                if (value === null || value === undefined || value === '') declarations.delete(name);
+                else declarations.set(name, String(value));
+                write(declarations);
+            },
+            removeProperty: name => {
+                const declarations = read();
+                const value = declarations.get(name) || '';
+                declarations.delete(name);
+                write(declarations);
+                return value;
+            }
+        };
+
+        return new Proxy(methods, {
+            get(target, key) {
+                if (typeof key !== 'string') return undefined;
+                if (key in methods) return methods[key];
+                if (key === 'cssText') return element.getAttribute('style') || '';
+                if (key === 'length') return read().size;
+                return methods.getPropertyValue(propertyName(key));
+            },
+            set(target, key, value) {
+                if (key === 'cssText') element.setAttribute('style', value);
+                else methods.setProperty(propertyName(key), value);
+                return true;
+            }
+        });
+    }
+
+    function createClassList(element) {
+        const read = () => (element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+        const write = names => element.setAttribute('class', names.join(' '));
+        return {
+            get length() {
+                return read().length;
+            },
+            get value() {
+                return element.getAttribute('class') || '';
+            },
+            contains: name => read().includes(name),
+            add: (...names) => write(read().concat(names.filter(name => !read().includes(name)))),
+            remove: (...names) => write(read().filter(name => !names.includes(name))),
+            toggle(name, force) {
+                const on = force === undefined ? !this.contains(name) : Boolean(force);
+                if (on) this.add(name); else this.remove(name);
+                return on;
+            }
+        };
+    }
+
+    // Form controls keep a "dirty" value and checkedness once set by script or
+    // by the user; until then they follow their attributes, as in browsers
+    class Element extends Node {
+        constructor(ownerDocument, localName, namespaceURI) {
+            const name = namespaceURI === HTML_NS ? localName.toUpperCase() : localName;
+            super(ownerDocument, 1, name);
+            this.localName = localName;
+            this.namespaceURI = namespaceURI;
+            this.tagName = name;
+            this.attributes = [];
+            this.scrollTop = 0;
+            this.scrollLeft = 0;
+            this._style = null;
+        }
+
+        _cloneShallow() {
+            const copy = this.ownerDocument.createElementNS(this.namespaceURI, this.localName);
+            this.attributes.forEach(attr => copy.setAttributeNS(attr.namespaceURI, attr.name, attr.value));
+            return copy;
+        }
+
+        _findAttribute(namespaceURI, localName) {
+            return this.attributes.find(attr => attr.namespaceURI === (namespaceURI || null) && attr.localName === localName);
+        }
+
+        _htmlName(name) {
+            return this.namespaceURI === HTML_NS ? String(name).toLowerCase() : String(name);
+        }
+
+        getAttribute(name) {
+            const attr = this.attributes.find(entry => entry.name === this._htmlName(name));
+            return attr ? attr.value : null;
+        }
+
+        getAttributeNS(namespaceURI, localName) {
+            const attr = this._findAttribute(namespaceURI, localName);
+            return attr ? attr.value : null;
+        }
+
+        getAttributeNames() {
+            return this.attributes.map(attr => attr.name);
+        }
+
+        hasAttribute(name) {
+            return this.getAttribute(name) !== null;
+        }
+
+        hasAttributeNS(namespaceURI, localName) {
+            return Boolean(this._findAttribute(namespaceURI, localName));
+        }
+
+        setAttribute(name, value) {
+            const qualified = this._htmlName(name);
+            const attr = this.attributes.find(entry => entry.name === qualified);
+            const oldValue = attr ? attr.value : null;
+            if (attr) attr.value = String(value);
+            else this.attributes.push({ name: qualified, localName: qualified, namespaceURI: null, prefix: null, value: String(value) });
+            this._attributeChanged(qualified, oldValue, String(value));
+        }
+
+        setAttributeNS(namespaceURI, qualifiedName, value) {
+            const parts = String(qualifiedName).split(':');
+            const localName = parts.length > 1 ? parts[1] : parts[0];
+            const attr = this._findAttribute(namespaceURI, localName);
+            const oldValue = attr ? attr.value : null;
+            if (attr) {
+                attr.value = String(value);
+            } else {
+                this.attributes.push({
+                    name: namespaceURI ? qualifiedName : this._htmlName(qualifiedName),
+                    localName: namespaceURI ? localName : this._htmlName(localName),
+                    namespaceURI: namespaceURI || null,
+                    prefix: parts.length > 1 ? parts[0] : null,
+                    value: String(value)
+                });
+            }
+            if (!namespaceURI) this._attributeChanged(this._htmlName(localName), oldValue, String(value));
+        }
+
+        removeAttribute(name) {
+            const qualified = this._htmlName(name);
+            const oldValue = this.getAttribute(qualified);
+            this.attributes = this.attributes.filter(attr => attr.name !== qualified);
+            if (oldValue !== null) this._attributeChanged(qualified, oldValue, null);
+        }
+
+        // Custom elements hear about changes of their observed attributes
+        _attributeChanged(name, oldValue, value) {
+            const observed = this.constructor.observedAttributes;
+            if (typeof this.attributeChangedCallback === 'function' && observed && observed.includes(name)) {
+                this.attributeChangedCallback(name, oldValue, value);
+            }
+        }
+
+        attachShadow(init) {
+            if (this.shadowRoot) throw new Error('RSF: The element already has a shadow root');
+            const root = new ShadowRoot(this, init && init.mode);
+            // A closed root is still kept for the callbacks of the custom elements inside
+            this._shadowRoot = root;
+            return root;
+        }
+
+        get shadowRoot() {
+            return this._shadowRoot && this._shadowRoot.mode === 'open' ? this._shadowRoot : null;
+        }
+
+        removeAttributeNS(namespaceURI, localName) {
+            const attr = this._findAttribute(namespaceURI, localName);
+            if (attr) this.attributes = this.attributes.filter(entry => entry !== attr);
+        }
+
+        toggleAttribute(name, force) {
+            const on = force === undefined ? !this.hasAttribute(name) : Boolean(force);
+            if (on) {
+                if (!this.hasAttribute(name)) this.setAttribute(name, '');
+            } else {
+                this.removeAttribute(name);
+            }
+            return on;
+        }
+
+        get id() {
+            return this.getAttribute('id') || '';
+        }
+
+        set id(value) {
+            this.setAttribute('id', value);
+        }
+
+        get className() {
+            return this.getAttribute('class') || '';
+        }
+
+        set className(value) {
+            this.setAttribute('class', value);
+        }
+
+        get classList() {
+            return createClassList(this);
+        }
+
+        get style() {
+            this._style = this._style || createStyle(this);
+            return this._style;
+        }
+
+        get outerHTML() {
+            return rsfStatic.serializeNode(this, { internal: true });
+        }
+
+        matches(selector) {
+            return elementMatches(this, selector);
+        }
+
+        closest(selector) {
+            for (let element = this; element; element = element.parentElement) {
+                if (element.matches(selector)) return element;
+            }
+            return null;
+        }
+
+        getBoundingClientRect() {
+            return { x: 0, y: 0, top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 };
+        }
+
+        focus() {
+            const document = this.ownerDocument;
+            const previous = document._activeElement;
+            if (previous === this || !this.isConnected) return;
+            if (previous) previous.blur();
+            document._activeElement = this;
+            this.dispatchEvent(new FocusEvent('focus'));
+            this.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+        }
+
+        blur() {
+            const document = this.ownerDocument;
+            if (document._activeElement !== this) return;
+            document._activeElement = null;
+            this.dispatchEvent(new FocusEvent('blur'));
+            this.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+        }
+
+        click() {
+            this.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+        }
+
+        // Activation behavior: checkboxes and radios toggle (reverted if the click is
+        // canceled) and fire input and change; submit buttons submit their form
+        dispatchEvent(event) {
+            if (event.type !== 'click' || this.localName !== 'input' && !this.closest('button')) {
+                return super.dispatchEvent(event);
+            }
+            const toggles = this.localName === 'input' && (this.type === 'checkbox' || this.type === 'radio') && !this.disabled;
+            const previous = toggles ? this.checked : null;
+            const group = toggles && this.type === 'radio' ? radioGroup(this).find(radio => radio.checked) : null;
+            if (toggles) this.checked = this.type === 'radio' ? true : !previous;
+
+            const result = super.dispatchEvent(event);
+
+            if (toggles && !result) {
+                this.checked = previous;
+                if (group) group.checked = true;
+            } else if (toggles && previous !== this.checked) {
+                this.dispatchEvent(new InputEvent('input', { bubbles: true }));
+                this.dispatchEvent(new Event('change', { bubbles: true }));
+            } else if (result) {
+                const button = this.localName === 'input' ? this : this.closest('button');
+                const submits = button.localName === 'button' ? button.type === 'submit' : ['submit', 'image'].includes(button.type);
+                if (submits && !button.disabled && button.form) button.form.requestSubmit();
+            }
+            return result;
+        }
+
+        get value() {
+            switch (this.localName) {
+                case 'input': {
+                    if (this._value !== undefined) return this._value;
+                    const value = this.getAttribute('value');
+                    return value !== null ? value : (['checkbox', 'radio'].includes(this.type) ? 'on' : '');
+                }
+                case 'textarea':
+                    return this._value !== undefined ? this._value : this.textContent;
+                case 'select': {
+                    const selected = this.options.find(option => option.selected);
+                    return selected ? selected.value : '';
+                }
+                case 'option': {
+                    const value = this.getAttribute('value');
+                    return value !== null ? value : this.textContent.replace(/\s+/g, ' ').trim();
+                }
+                case 'button':
+                    return this.getAttribute('value') || '';
+                default:
+                    return this._value;
+            }
+        }
+
+        set value(value) {
+            if (this.localName === 'select') {
+                this.options.forEach(option => { option._selected = option.value === String(value); });
+            } else if (this.localName === 'option' || this.localName === 'button') {
+                this.setAttribute('value', value);
+            } else {
+                this._value = value === null || value === undefined ? '' : String(value);
+                // Like browsers, assigning the value puts the caret at the end
+                this._selection = null;
+            }
+        }
+
+        // Caret and selection of text controls, at the end of the value unless set
+        get selectionStart() {
+            return this._selection ? this._selection[0] : String(this.value).length;
+        }
+
+        get selectionEnd() {
+            return this._selection ? this._selection[1] : String(this.value).length;
+        }
+
+        setSelectionRange(start, end) {
+            const length = String(this.value).length;
+            this._selection = [Math.min(start, length), Math.min(end, length)];
+        }
+
+        get checked() {
+            return this._checked !== undefined ? this._checked : this.hasAttribute('checked');
+        }
+
+        set checked(value) {
+            this._checked = Boolean(value);
+            if (this._checked && this.type === 'radio') {
+                radioGroup(this).forEach(radio => {
+                    if (radio !== this) radio._checked = false;
+                });
+            }
+        }
+
+        // A single select always has one option selected, the first by default
+        get selected() {
+            if (this._selected !== undefined) return this._selected;
+            if (this.hasAttribute('selected')) return true;
+            const select = this.closest('select');
+            if (!select || select.multiple) return false;
+            const options = select.options;
+            return !options.some(option => option._selected || (option._selected === undefined && option.hasAttribute('selected'))) && options[0] === this;
+        }
+
+        set selected(value) {
+            const select = this.closest('select');
+            if (value && select && !select.multiple) {
+                select.options.forEach(option => { option._selected = false; });
+            }
+            this._selected = Boolean(value);
+        }
+
+        get options() {
+            return this.querySelectorAll('option');
+        }
+
+        get selectedIndex() {
+            return this.options.findIndex(option => option.selected);
+        }
+
+        set selectedIndex(index) {
+            this.options.forEach((option, i) => { option._selected = i === index; });
+        }
+
+        get type() {
+            const type = (this.getAttribute('type') || '').toLowerCase();
+            switch (this.localName) {
+                case 'input': return type || 'text';
+                case 'button': return type || 'submit';
+                case 'select': return this.multiple ? 'select-multiple' : 'select-one';
+                case 'textarea': return 'textarea';
+                default: return type;
+            }
+        }
+
+        get name() {
+            return this.getAttribute('name') || '';
+        }
+
+        get disabled() {
+            return this.hasAttribute('disabled');
+        }
+
+        set disabled(value) {
+            this.toggleAttribute('disabled', Boolean(value));
+        }
+
+        get multiple() {
+            return this.hasAttribute('multiple');
+        }
+
+        get form() {
+            return this.closest('form');
+        }
+
+        get elements() {
+            const controls = this.querySelectorAll('input, select, textarea, button');
+            controls.namedItem = name => controls.find(control => control.getAttribute('id') === name || control.name === name) || null;
+            return controls;
+        }
+
+        requestSubmit() {
+            const event = new Event('submit', { bubbles: true, cancelable: true });
+            this.dispatchEvent(event);
+        }
+    }
+
+    function radioGroup(radio) {
+        if (!radio.name) return [radio];
+        const scope = radio.form || radio.getRootNode();
+        return scope.querySelectorAll('input').filter(input => input.type === 'radio' && input.name === radio.name);
+    }
+
+    // Built-in DOM: custom elements
+
+    // The document and tag name of the custom element createElement is constructing
+    let constructing = null;
+
+    // Base class of custom elements; only document.createElement constructs them
+    class HTMLElement extends Element {
+        constructor() {
+            if (!constructing) throw new Error('RSF: Create custom elements with document.createElement');
+            super(constructing.document, constructing.name, HTML_NS);
+            constructing = null;
+        }
+    }
+
+    class CustomElementRegistry {
+        constructor() {
+            this._definitions = new Map();
+        }
+
+        define(name, constructor) {
+            if (this._definitions.has(name)) throw new Error(`RSF: "${name}" has already been defined as a custom element`);
+            this._definitions.set(name, constructor);
+        }
+
+        get(name) {
+            return this._definitions.get(name);
+        }
+    }
+
+    // Call connectedCallback or disconnectedCallback on the custom elements in node's
+    // subtree, shadow trees included. Collected first, as a callback may render more
+    function runCustomCallbacks(node, callback) {
+        const found = [];
+        const walk = current => {
+            if (current instanceof HTMLElement) found.push(current);
+            current.childNodes.forEach(walk);
+            if (current._shadowRoot) walk(current._shadowRoot);
+        };
+        walk(node);
+        found.forEach(element => {
+            if (typeof element[callback] === 'function') element[callback]();
+        });
+    }
+
+    class Document extends Node {
+        constructor() {
+            super(null, 9, '#document');
+            this._activeElement = null;
+            this.defaultView = {
+                document: this, Event, CustomEvent, KeyboardEvent, MouseEvent, FocusEvent, InputEvent,
+                HTMLElement, customElements: new CustomElementRegistry()
+            };
+            const html = this.createElement('html');
+            html.appendChild(this.createElement('head'));
+            html.appendChild(this.createElement('body'));
+            this.appendChild(html);
+        }
+
+        get documentElement() {
+            return this.firstElementChild;
+        }
+
+        get head() {
+            return this.documentElement.querySelector('head');
+        }
+
+        get body() {
+            return this.documentElement.querySelector('body');
+        }
+
+        get activeElement() {
+            return this._activeElement || this.body;
+        }
+
+        get textContent() {
+            return null;
+        }
+
+        createElement(tag) {
+            const name = String(tag).toLowerCase();
+            const CustomElement = this.defaultView.customElements.get(name);
+            if (CustomElement) {
+                constructing = { document: this, name };
+                return new CustomElement();
+            }
+            return new Element(this, name, HTML_NS);
+        }
+
+        createElementNS(namespaceURI, qualifiedName) {
+            const ns = namespaceURI || null;
+            if (ns === HTML_NS) return this.createElement(qualifiedName);
+            return new Element(this, qualifiedName, ns);
+        }
+
+        createTextNode(data) {
+            return new Text(this, data);
+        }
+
+        createComment(data) {
+            return new Comment(this, data);
+        }
+
+        createDocumentFragment() {
+            return new DocumentFragment(this);
+        }
+
+        getElementById(id) {
+            return this.querySelectorAll('*').find(element => element.getAttribute('id') === String(id)) || null;
+        }
+    }
+
+    function createDocument() {
+        return new Document();
+    }
+
+    // The global document; the built-in one is installed when there is none
+    function installDom() {
+        if (typeof document === 'undefined') {
+            (typeof globalThis !== 'undefined' ? globalThis : global).document = createDocument();
+        }
+        return document;
+    }
+
+    // Events
+
+    const eventConstructors = [
+        [/^key/, 'KeyboardEvent'],
+        [/^(click|dblclick|contextmenu|mouse)/, 'MouseEvent'],
+        [/^(focus|blur)/, 'FocusEvent'],
+        [/^(before)?input$/, 'InputEvent']
+    ];
+
+    // Dispatch an event and apply the state updates its handlers made.
+    // init.target sets properties on the element first: { target: { value: 'x' } }
+    function fireEvent(element, event, init = {}) {
+        if (typeof event === 'string') {
+            const view = element.ownerDocument.defaultView;
+            const entry = eventConstructors.find(([pattern]) => pattern.test(event));
+            const name = init.detail !== undefined ? 'CustomEvent' : entry ? entry[1] : 'Event';
+            const Constructor = view[name] || view.Event;
+            const options = Object.assign({ bubbles: !nonBubblingEvents.includes(event), cancelable: true }, init);
+            if (options.target) {
+                Object.assign(element, options.target);
+                delete options.target;
+            }
+            event = new Constructor(event, options);
+        }
+        const result = element.dispatchEvent(event);
+        rsf.flush();
+        return result;
+    }
+
+    ['click', 'dblclick', 'mouseDown', 'mouseUp', 'mouseOver', 'mouseOut', 'mouseMove', 'mouseEnter', 'mouseLeave',
+        'keyDown', 'keyUp', 'keyPress', 'focus', 'blur', 'focusIn', 'focusOut', 'input', 'change', 'submit',
+        'scroll', 'pointerDown', 'pointerUp', 'dragStart', 'dragEnd', 'drop'].forEach(name => {
+        fireEvent[name] = (element, init) => fireEvent(element, name.toLowerCase(), init);
+    });
+
+    // Type text like a user: focus, then keydown, input and keyup per character.
+    // {enter} presses Enter (submitting the form of an input), {backspace} deletes
+    function type(element, text, options = {}) {
+        if (element.ownerDocument.activeElement !== element) {
+            element.focus();
+            rsf.flush();
+        }
+        if (options.clear) {
+            element.value = '';
+            fireEvent(element, 'input', { inputType: 'deleteContentBackward' });
+        }
+
+        const keys = String(text).match(/\{\w+\}|[\s\S]/g) || [];
+        keys.forEach(token => {
+            const special = token.length > 2 && token[0] === '{' ? token.slice(1, -1).toLowerCase() : null;
+            const key = special === 'enter' ? 'Enter' : special === 'backspace' ? 'Backspace' : special ? special : token;
+
+            if (fireEvent(element, 'keydown', { key })) {
+                if (special === 'enter') {
+                    if (element.localName === 'input' && element.form) element.form.requestSubmit();
+                    else if (element.localName === 'textarea') insertText(element, '\n');
+                } else if (special === 'backspace') {
+                    element.value = element.value.slice(0, -1);
+                    fireEvent(element, 'input', { inputType: 'deleteContentBackward' });
+                } else if (!special) {
+                    insertText(element, token);
+                }
+            }
+            fireEvent(element, 'keyup', { key });
+        });
+        rsf.flush();
+    }
+
+    function insertText(element, data) {
+        element.value = element.value + data;
+        fireEvent(element, 'input', { data, inputType: 'insertText' });
+    }
+
+    // Queries
+
+    const normalize = text => String(text).replace(/\s+/g, ' ').trim();
+
+    function textMatches(text, matcher, element, exact = true) {
+        if (typeof matcher === 'function') return Boolean(matcher(text, element));
+        if (matcher instanceof RegExp) return matcher.test(text);
+        return exact ? text === String(matcher) : text.toLowerCase().includes(String(matcher).toLowerCase());
+    }
+
+    // Queries also run against jsdom and browsers, where these are NodeLists
+    const queryAll = (node, selector) => Array.from(node.querySelectorAll(selector));
+
+    // Text of the element's own text nodes
+    const ownText = element => normalize(Array.from(element.childNodes)
+        .filter(node => node.nodeType === 3)
+        .map(node => node.nodeValue)
+        .join(''));
+
+    function isHidden(element) {
+        for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+            if (node.hasAttribute('hidden') || node.getAttribute('aria-hidden') === 'true') return true;
+        }
+        return false;
+    }
+
+    function implicitRole(element) {
+        const tag = element.localName;
+        const type = (element.getAttribute('type') || 'text').toLowerCase();
+        switch (tag) {
+            case 'a': return element.hasAttribute('href') ? 'link' : null;
+            case 'button': return 'button';
+            case 'input':
+                if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+                if (type === 'checkbox' || type === 'radio') return type;
+                if (type === 'range') return 'slider';
+                if (type === 'number') return 'spinbutton';
+                if (type === 'search') return 'searchbox';
+                return type === 'hidden' ? null : 'textbox';
+            case 'textarea': return 'textbox';
+            case 'select': return element.hasAttribute('multiple') || Number(element.getAttribute('size')) > 1 ? 'listbox' : 'combobox';
+            case 'option': return 'option';
+            case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': return 'heading';
+            case 'ul': case 'ol': return 'list';
+            case 'li': return 'listitem';
+            case 'img': return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+            case 'nav': return 'navigation';
+            case 'main': return 'main';
+            case 'header': return 'banner';
+            case 'footer': return 'contentinfo';
+            case 'form': return 'form';
+            case 'table': return 'table';
+            case 'tr': return 'row';
+            case 'td': return 'cell';
+            case 'th': return 'columnheader';
+            case 'dialog': return 'dialog';
+            case 'progress': return 'progressbar';
+            case 'article': return 'article';
+            case 'aside': return 'complementary';
+            default: return null;
+        }
+    }
+
+    const roleOf = element => (element.getAttribute('role') || '').split(/\s+/)[0] || implicitRole(element);
+
+    // Roles whose accessible name comes from their content
+    const namedByContent = ['button', 'link', 'heading', 'cell', 'columnheader', 'option', 'listitem', 'tab', 'menuitem', 'checkbox', 'radio'];
+
+    function labelsOf(element) {
+        const root = element.getRootNode();
+        const id = element.getAttribute('id');
+        const byFor = id ? queryAll(root, 'label').filter(label => label.getAttribute('for') === id) : [];
+        const wrapping = element.closest('label');
+        return byFor.concat(wrapping && !byFor.includes(wrapping) ? [wrapping] : []);
+    }
+
+    // Text of node, leaving out the control a label wraps
+    function textOutside(node, control) {
+        if (node === control) return '';
+        if (node.nodeType === 3) return node.nodeValue;
+        return Array.from(node.childNodes).map(child => textOutside(child, control)).join('');
+    }
+
+    function accessibleName(element) {
+        const root = element.getRootNode();
+        const labelledBy = element.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            return normalize(labelledBy.split(/\s+/).map(id => {
+                const label = queryAll(root, '[id]').find(node => node.getAttribute('id') === id);
+                return label ? label.textContent : '';
+            }).join(' '));
+        }
+        if (element.getAttribute('aria-label')) return normalize(element.getAttribute('aria-label'));
+        if (['input', 'select', 'textarea'].includes(element.localName)) {
+            const type = element.getAttribute('type');
+            if (['button', 'submit', 'reset'].includes(type)) return element.getAttribute('value') || '';
+            const labels = labelsOf(element);
+            if (labels.length) return normalize(labels.map(label => textOutside(label, element)).join(' '));
+        }
+        if (element.localName === 'img') return normalize(element.getAttribute('alt') || '');
+        if (namedByContent.includes(roleOf(element))) return normalize(element.textContent);
+        return normalize(element.getAttribute('title') || '');
+    }
+
+    const queries = {
+        Text: {
+            describe: (text, options) => `the text: ${text}${options.selector ? ` matching "${options.selector}"` : ''}`,
+            all(container, text, options = {}) {
+                const ignore = options.ignore === undefined ? 'script, style' : options.ignore;
+                return queryAll(container, options.selector || '*')
+                    .filter(element => !(ignore && element.matches(ignore)))
+                    .filter(element => textMatches(ownText(element), text, element, options.exact));
+            }
+        },
+        Role: {
+            describe: (role, options) => `the role "${role}"${options.name !== undefined ? ` and name ${options.name}` : ''}`,
+            all(container, role, options = {}) {
+                return queryAll(container, '*')
+                    .filter(element => roleOf(element) === role && (options.hidden || !isHidden(element)))
+                    .filter(element => options.name === undefined || textMatches(accessibleName(element), options.name, element, options.exact));
+            }
+        },
+        LabelText: {
+            describe: text => `the label: ${text}`,
+            all(container, text, options = {}) {
+                const root = container.getRootNode();
+                const found = [];
+                const add = element => {
+                    if (element && !found.includes(element)) found.push(element);
+                };
+                queryAll(container, 'label').forEach(label => {
+                    const target = label.getAttribute('for');
+                    const control = target
+                        ? queryAll(root, '[id]').find(element => element.getAttribute('id') === target)
+                        : label.querySelector('input, select, textarea, button');
+                    if (textMatches(normalize(textOutside(label, control)), text, label, options.exact)) add(control);
+                });
+                queryAll(container, '[aria-label], [aria-labelledby]')
+                    .filter(element => textMatches(accessibleName(element), text, element, options.exact))
+                    .forEach(add);
+                return found.filter(element => container.contains(element));
+            }
+        }
+    };
+
+    // getBy* (exactly one, else throws), queryBy* (one or null), getAllBy* and queryAllBy*
+    const queryFunctions = {};
+    Object.keys(queries).forEach(kind => {
+        const { all, describe } = queries[kind];
+        const fail = (container, message) => {
+            throw new Error(`RSF: ${message}\n\n${rsfStatic.serializeNode(container, { inner: container.nodeType !== 1 })}`);
+        };
+        queryFunctions[`queryAllBy${kind}`] = all;
+        queryFunctions[`getAllBy${kind}`] = (container, matcher, options = {}) => {
+            const found = all(container, matcher, options);
+            if (!found.length) fail(container, `Unable to find an element with ${describe(matcher, options)}`);
+            return found;
+        };
+        queryFunctions[`queryBy${kind}`] = (container, matcher, options = {}) => {
+            const found = all(container, matcher, options);
+            if (found.length > 1) fail(container, `Found ${found.length} elements with ${describe(matcher, options)}`);
+            return found[0] || null;
+        };
+        queryFunctions[`getBy${kind}`] = (container, matcher, options = {}) => {
+            const found = queryFunctions[`getAllBy${kind}`](container, matcher, options);
+            if (found.length > 1) fail(container, `Found ${found.length} elements with ${describe(matcher, options)}`);
+            return found[0];
+        };
+    });
+
+    // Mounting
+
+    const mounted = new Set();
+
+    // Render renderFn into a new container in the document body; options are passed to rsf()
+    function mount(renderFn, options = {}) {
+        const doc = installDom();
+        const { container: given, ...rsfOptions } = options;
+        const container = given || doc.body.appendChild(doc.createElement('div'));
+        const r = rsf(container, renderFn, rsfOptions);
+
+        const view = {
+            container,
+            r,
+            html: serializeOptions => serialize(container, serializeOptions),
+            unmount() {
+                if (!mounted.has(view)) return;
+                mounted.delete(view);
+                r.destroy();
+                if (!given && container.parentNode) container.parentNode.removeChild(container);
+            }
+        };
+        Object.keys(queryFunctions).forEach(name => {
+            view[name] = (...args) => queryFunctions[name](container, ...args);
+        });
+        mounted.add(view);
+        return view;
+    }
+
+    // Unmount everything mount() rendered; call after each test
+    function cleanup() {
+        Array.from(mounted).forEach(view => view.unmount());
+    }
+
+    // HTML of a view's content or of a node, in createStatic's format, so
+    // serialize(mount(App)) === createStatic(App) for apps that render the same
+    function serialize(target, options = {}) {
+        if (target && target.container && target.unmount) {
+            return rsfStatic.serializeNode(target.container, Object.assign({ inner: true }, options));
+        }
+        return rsfStatic.serializeNode(target, Object.assign({ inner: target.nodeType !== 1 }, options));
+    }
+
+    return Object.assign({
+        mount,
+        cleanup,
+        fireEvent,
+        type,
+        serialize,
+        createDocument,
+        installDom
+    }, queryFunctions);
+}));
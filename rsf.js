@@ -9,6 +9,2486 @@
     }
 }(typeof self !== 'undefined' ? self : this, function () {
 
+    // Shared across every rsf() root so state IDs never collide
+    let stateIdCounter = 0;
+
+    // Set collecting the states read by the computation currently running, if any
+    let activeTracker = null;
+
+    function track(fn, tracker) {
+        const previous = activeTracker;
+        activeTracker = tracker;
+        try {
+            return fn();
+        } finally {
+            activeTracker = previous;
+        }
+    }
+
+    // Listeners waiting to run, kept ordered by depth (equal depths in the order they
+    // were queued). They are drained shallowest first, so a parent container renders
+    // (and disposes its children) before any child would
+    const queue = [];
+    const queued = new Set();
+    let flushScheduled = false;
+    let flushing = false;
+    // Counts flushes, so an effect can tell how often it ran in the current one
+    let flushCount = 0;
+    let batchDepth = 0;
+
+    const scheduleMicrotask = typeof queueMicrotask === 'function'
+        ? queueMicrotask
+        : fn => Promise.resolve().then(fn);
+
+    function enqueue(listener) {
+        if (!queued.has(listener)) {
+            queued.add(listener);
+            // Binary search for the first queued listener deeper than this one
+            const depth = listener._rsfDepth || 0;
+            let low = 0;
+            let high = queue.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if ((queue[middle]._rsfDepth || 0) <= depth) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+            }
+            queue.splice(low, 0, listener);
+        }
+        if (!flushScheduled && batchDepth === 0) {
+            flushScheduled = true;
+            scheduleMicrotask(() => {
+                flushScheduled = false;
+                flush();
+            });
+        }
+    }
+
+    // A listener that throws does not keep the others from running; the first
+    // error is rethrown once the queue is empty
+    function flush() {
+        if (flushing) return;
+        flushing = true;
+        flushCount++;
+        let error = null;
+        try {
+            while (queue.length) {
+                const next = queue.shift();
+                queued.delete(next);
+                try {
+                    next();
+                } catch (e) {
+                    if (!error) error = e;
+                }
+            }
+        } finally {
+            flushing = false;
+            debugChanged.clear();
+        }
+        if (error) throw error;
+    }
+
+    // Defer notifications until fn returns, then apply them all at once
+    function batch(fn) {
+        batchDepth++;
+        try {
+            return fn();
+        } finally {
+            batchDepth--;
+            if (batchDepth === 0) flush();
+        }
+    }
+
+    function tick() {
+        return new Promise(resolve => scheduleMicrotask(() => {
+            flush();
+            resolve();
+        }));
+    }
+
+    // Debounced writes not yet in storage; written when the page is hidden so none are lost
+    const pendingWrites = new Set();
+    let pageHideListening = false;
+
+    function flushWrites() {
+        Array.from(pendingWrites).forEach(persist => persist.write());
+    }
+
+    // 'local' (default), 'session' or an adapter with getItem/setItem
+    function storageFor(storage) {
+        if (storage && typeof storage === 'object') return storage;
+        try {
+            if (typeof window === 'undefined') return null;
+            return storage === 'session' ? window.sessionStorage : window.localStorage;
+        } catch (error) {
+            // Storage access throws when it is disabled
+            return null;
+        }
+    }
+
+    // Load state's value from storage and keep it there. Values are stored as
+    // serialize({ version, value }); getItem may return a promise (IndexedDB-style adapters)
+    function persistState(state, options) {
+        const config = typeof options === 'string' ? { key: options } : options;
+        const { key, version = 0, migrate, debounce = 100 } = config;
+        const serialize = config.serialize || JSON.stringify;
+        const deserialize = config.deserialize || JSON.parse;
+        const storage = storageFor(config.storage);
+        const initialValue = state._value;
+        let timer = null;
+        let unsubscribe = null;
+
+        if (!storage) return null;
+
+        // Stored record -> value; the initial value when missing, unreadable or not migratable
+        const read = raw => {
+            if (raw === null || raw === undefined) return initialValue;
+            try {
+                const record = deserialize(raw);
+                if (record.version === version) return record.value;
+                return migrate ? migrate(record.value, record.version) : initialValue;
+            } catch (error) {
+                console.warn(`RSF: Could not read persisted state "${key}"`, error);
+                return initialValue;
+            }
+        };
+
+        const persist = {
+            syncing: false,
+
+            // Set a value that came from storage without writing it back
+            apply(value) {
+                persist.syncing = true;
+                try {
+                    state.set(value);
+                } finally {
+                    persist.syncing = false;
+                }
+            },
+
+            schedule() {
+                clearTimeout(timer);
+                pendingWrites.add(persist);
+                timer = setTimeout(persist.write, debounce);
+                if (!pageHideListening && typeof window !== 'undefined') {
+                    pageHideListening = true;
+                    window.addEventListener('pagehide', flushWrites);
+                }
+            },
+
+            write() {
+                clearTimeout(timer);
+                pendingWrites.delete(persist);
+                const warn = error => console.warn(`RSF: Could not persist state "${key}"`, error);
+                try {
+                    const written = storage.setItem(key, serialize({ version, value: state._value }));
+                    return written && typeof written.then === 'function' ? written.catch(warn) : written;
+                } catch (error) {
+                    warn(error);
+                }
+            },
+
+            // Write what is pending and stop following other tabs
+            destroy() {
+                if (pendingWrites.has(persist)) persist.write();
+                if (unsubscribe) unsubscribe();
+                unsubscribe = null;
+            }
+        };
+
+        const stored = storage.getItem(key);
+        if (stored && typeof stored.then === 'function') {
+            const before = state._value;
+            persist.ready = stored.then(raw => {
+                // A set() made while the adapter was loading wins
+                if (state._value === before) persist.apply(read(raw));
+            }).catch(error => console.warn(`RSF: Could not read persisted state "${key}"`, error));
+        } else {
+            state._value = read(stored);
+            persist.ready = Promise.resolve();
+        }
+
+        // Other tabs: adapters may offer subscribe(key, callback), which may return an
+        // unsubscribe function; web storage fires 'storage'
+        if (typeof storage.subscribe === 'function') {
+            const result = storage.subscribe(key, raw => persist.apply(read(raw)));
+            if (typeof result === 'function') unsubscribe = result;
+        } else if (typeof window !== 'undefined') {
+            const onStorage = e => {
+                if (e.storageArea === storage && (e.key === key || e.key === null)) {
+                    persist.apply(read(e.newValue));
+                }
+            };
+            window.addEventListener('storage', onStorage);
+            unsubscribe = () => window.removeEventListener('storage', onStorage);
+        }
+
+        return persist;
+    }
+
+    // Changes of debug states, newest last, for rsf.timeline()
+    const debugTimeline = [];
+    // Debug states changed since the last flush -> their timeline entry
+    const debugChanged = new Map();
+
+    // div#main.card
+    function nodeLabel(node) {
+        return node.nodeName.toLowerCase() + (node.id ? `#${node.id}` : '') +
+            (typeof node.className === 'string' && node.className ? `.${node.className.trim().split(/\s+/).join('.')}` : '');
+    }
+
+    function debugLabel(state) {
+        return typeof state._debug === 'string' ? state._debug : state._stateId;
+    }
+
+    function logChange(state, oldValue, newValue) {
+        const entry = { time: Date.now(), state: debugLabel(state), oldValue, newValue, rendered: [] };
+        debugTimeline.push(entry);
+        if (debugTimeline.length > 500) debugTimeline.shift();
+        debugChanged.set(state, entry);
+
+        if (console.groupCollapsed) {
+            console.groupCollapsed(`RSF: ${entry.state} changed`, oldValue, '->', newValue);
+            console.trace();
+            console.groupEnd();
+        } else {
+            console.log(`RSF: ${entry.state} changed`, oldValue, '->', newValue);
+        }
+    }
+
+    // Called before a watched container re-renders: log it if a debug state caused it
+    function logRender(watcher) {
+        const causes = watcher.states.filter(state => debugChanged.has(state));
+        if (!causes.length) return;
+        const node = nodeLabel(watcher.node);
+        causes.forEach(state => debugChanged.get(state).rendered.push(node));
+        console.log(`RSF: <${node}> re-rendered by ${causes.map(debugLabel).join(', ')}`, watcher.node);
+    }
+
+    class State {
+        constructor(initialValue, options = {}) {
+            this._value = initialValue;
+            this._compare = options.compare || ((a, b) => a === b);
+            this._debug = options.debug || false;
+            // history: 50 or { limit, merge } keeps previous values for undo()/redo()
+            const history = options.history;
+            this._history = history ? Object.assign({ limit: 100, merge: 0 }, typeof history === 'number' ? { limit: history } : history) : null;
+            this._past = [];
+            this._future = [];
+            this._stateId = `state-${stateIdCounter++}`;
+            this._listeners = new Set();
+            this._persist = options.persist ? persistState(this, options.persist) : null;
+            if (this._persist) {
+                // Resolves once a persisted value from an async adapter has been loaded
+                this.ready = this._persist.ready;
+            }
+        }
+
+        get() {
+            if (activeTracker) activeTracker.add(this);
+            return this._value;
+        }
+
+        // Read without registering a dependency
+        peek() {
+            return this._value;
+        }
+
+        set(newValue, force) {
+            if (!this._compare(this._value, newValue) || force) {
+                const oldValue = this._value;
+                if (this._history && !this._travelling) this._record(oldValue);
+                this._value = newValue;
+                if (this._debug) logChange(this, oldValue, newValue);
+                this.notifyElements();
+                if (this._persist && !this._persist.syncing) this._persist.schedule();
+            }
+        }
+
+        // value getter
+        get value() {
+            return this.get();
+        }
+
+        // value setter for symmetry
+        set value(newValue) {
+            this.set(newValue);
+        }
+
+        update(updaterFn, force) {
+            const currentValue = this.peek();
+            const newValue = updaterFn(currentValue);
+            this.set(newValue, force);
+            return this;
+        }
+
+        // Push the value being replaced; changes within history.merge ms of the
+        // previous one share its entry (typing a word is one undo step)
+        _record(oldValue) {
+            const now = Date.now();
+            if (!(this._history.merge && now - this._recordedAt < this._history.merge)) {
+                this._past.push(oldValue);
+                if (this._past.length > this._history.limit) this._past.shift();
+            }
+            this._recordedAt = now;
+            this._future = [];
+        }
+
+        _travel(value) {
+            this._travelling = true;
+            try {
+                this.set(value, true);
+            } finally {
+                this._travelling = false;
+            }
+        }
+
+        undo() {
+            if (!this._past.length) return false;
+            this._future.push(this._value);
+            this._travel(this._past.pop());
+            return true;
+        }
+
+        redo() {
+            if (!this._future.length) return false;
+            this._past.push(this._value);
+            this._travel(this._future.pop());
+            return true;
+        }
+
+        // Reading these tracks the state itself: every change updates the history
+        get canUndo() {
+            if (activeTracker) activeTracker.add(this);
+            return this._past.length > 0;
+        }
+
+        get canRedo() {
+            if (activeTracker) activeTracker.add(this);
+            return this._future.length > 0;
+        }
+
+        clearHistory() {
+            this._past = [];
+            this._future = [];
+        }
+
+        // Stop persisting: write a pending value and stop following other tabs
+        dispose() {
+            if (this._persist) this._persist.destroy();
+        }
+
+        addListener(listener) {
+            this._listeners.add(listener);
+        }
+
+        removeListener(listener) {
+            this._listeners.delete(listener);
+        }
+
+        notifyElements() {
+            // Copy first: sync listeners may unsubscribe while we iterate
+            Array.from(this._listeners).forEach(listener => {
+                if (listener._rsfSync) {
+                    listener();
+                } else {
+                    enqueue(listener);
+                }
+            });
+        }
+    }
+
+    // Read-only state derived from other states; recomputed lazily and only
+    // subscribed to its dependencies while something is listening to it
+    class Computed extends State {
+        constructor(fn, options = {}) {
+            super(undefined, options);
+            this._fn = fn;
+            this._dirty = true;
+            this._deps = [];
+            // Runs synchronously, and marks the computeds derived from this one dirty
+            // too, so readers never see a stale value anywhere along a chain;
+            // listeners are only notified (ahead of any container) if the value changed
+            this._onDependencyChange = () => {
+                if (this._dirty) return;
+                this._dirty = true;
+                Array.from(this._listeners).forEach(listener => {
+                    if (listener._rsfComputed) listener();
+                });
+                if (this._listeners.size === 0) {
+                    this._subscribe([]);
+                    return;
+                }
+                const previous = this._value;
+                const check = () => {
+                    if (!this._compare(previous, this.peek())) {
+                        this.notifyElements();
+                    }
+                };
+                check._rsfDepth = -1;
+                enqueue(check);
+            };
+            this._onDependencyChange._rsfSync = true;
+            this._onDependencyChange._rsfComputed = true;
+        }
+
+        get() {
+            if (activeTracker) activeTracker.add(this);
+            return this.peek();
+        }
+
+        peek() {
+            if (this._dirty) this._recompute();
+            return this._value;
+        }
+
+        set() {
+            throw new Error('RSF: Computed state is read-only');
+        }
+
+        _recompute() {
+            const deps = new Set();
+            this._value = track(this._fn, deps);
+            this._dirty = false;
+            this._subscribe(deps);
+        }
+
+        _subscribe(deps) {
+            this._deps.forEach(state => state.removeListener(this._onDependencyChange));
+            this._deps = Array.from(deps);
+            this._deps.forEach(state => state.addListener(this._onDependencyChange));
+        }
+    }
+
+    // Run fn now and again whenever a state it read changes. fn may return a
+    // cleanup that runs before each re-run and on dispose
+    function effect(fn, owner) {
+        let deps = [];
+        let cleanup = null;
+        let disposed = false;
+        let runFlush = 0;
+        let runs = 0;
+
+        const unsubscribe = () => deps.forEach(state => state.removeListener(run));
+
+        function run() {
+            if (disposed) return;
+            // An effect that writes a state it reads would queue itself forever
+            if (flushing && runFlush === flushCount) {
+                if (++runs > 100) {
+                    throw new Error('RSF: An effect re-ran 100 times in one flush; it probably sets a state it also reads (use peek() to read it without subscribing)');
+                }
+            } else {
+                runFlush = flushCount;
+                runs = 1;
+            }
+            if (typeof cleanup === 'function') cleanup();
+            const next = new Set();
+            cleanup = track(fn, next);
+            unsubscribe();
+            deps = Array.from(next);
+            deps.forEach(state => state.addListener(run));
+        }
+
+        const dispose = () => {
+            if (disposed) return;
+            disposed = true;
+            unsubscribe();
+            if (typeof cleanup === 'function') cleanup();
+        };
+
+        run._rsfDepth = owner ? owner.depth + 1 : 0;
+        run();
+        if (owner) owner.cleanups.push(dispose);
+        return dispose;
+    }
+
+    // An owner collects the cleanups of everything rendered under it (watched
+    // containers, keyed lists) so a re-render can release the previous subscriptions
+    function createOwner(depth) {
+        return { cleanups: [], depth };
+    }
+
+    function cleanupOwner(owner) {
+        const cleanups = owner.cleanups;
+        owner.cleanups = [];
+        cleanups.reverse().forEach(fn => fn());
+    }
+
+    // onMount callbacks registered during a render, run once its nodes are in the live DOM
+    let pendingMounts = [];
+
+    function runMounts() {
+        const mounts = pendingMounts;
+        pendingMounts = [];
+        mounts.forEach(({ fn, owner }) => {
+            if (owner.disposed) return;
+            const cleanup = fn();
+            if (typeof cleanup === 'function') owner.cleanups.push(cleanup);
+        });
+    }
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+
+    const attributeNamespaces = {
+        xlink: 'http://www.w3.org/1999/xlink',
+        xml: 'http://www.w3.org/XML/1998/namespace',
+        xmlns: 'http://www.w3.org/2000/xmlns/'
+    };
+
+    // SVG attributes that are camelCase in the spec and must not become kebab-case
+    const svgCamelCaseAttributes = [
+        'attributeName', 'attributeType', 'baseFrequency', 'calcMode', 'clipPathUnits',
+        'diffuseConstant', 'edgeMode', 'filterUnits', 'gradientTransform', 'gradientUnits',
+        'kernelMatrix', 'kernelUnitLength', 'keyPoints', 'keySplines', 'keyTimes', 'lengthAdjust',
+        'limitingConeAngle', 'markerHeight', 'markerUnits', 'markerWidth', 'maskContentUnits',
+        'maskUnits', 'numOctaves', 'pathLength', 'patternContentUnits', 'patternTransform',
+        'patternUnits', 'pointsAtX', 'pointsAtY', 'pointsAtZ', 'preserveAlpha', 'preserveAspectRatio',
+        'primitiveUnits', 'refX', 'refY', 'repeatCount', 'repeatDur', 'requiredExtensions',
+        'specularConstant', 'specularExponent', 'spreadMethod', 'startOffset', 'stdDeviation',
+        'surfaceScale', 'systemLanguage', 'tableValues', 'targetX', 'targetY', 'textLength',
+        'viewBox', 'xChannelSelector', 'yChannelSelector', 'zoomAndPan'
+    ];
+
+    const camelToKebab = str => str.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+    // svg and math open their namespace; children inherit it, except the HTML
+    // content of a foreignObject
+    function elementNamespace(tag, parent) {
+        if (tag === 'svg') return SVG_NS;
+        if (tag === 'math') return MATHML_NS;
+        const namespace = parent && parent.namespaceURI;
+        if (namespace === SVG_NS && parent.nodeName !== 'foreignObject') return SVG_NS;
+        if (namespace === MATHML_NS) return MATHML_NS;
+        return null;
+    }
+
+    // xlinkHref -> xlink:href, viewBox stays viewBox in SVG, everything else kebab-case
+    function attributeName(key, namespace) {
+        if (key.includes(':')) return key;
+        const prefixed = key.match(/^(xlink|xmlns|xml)([A-Z].*)$/);
+        if (prefixed) return `${prefixed[1]}:${camelToKebab(prefixed[2].charAt(0).toLowerCase() + prefixed[2].slice(1))}`;
+        if (namespace === SVG_NS && svgCamelCaseAttributes.includes(key)) return key;
+        return camelToKebab(key);
+    }
+
+    function setAttribute(element, name, value) {
+        const namespace = attributeNamespaces[name.split(':')[0]];
+        if (namespace && name.includes(':')) {
+            element.setAttributeNS(namespace, name, value);
+        } else {
+            element.setAttribute(name, value);
+        }
+    }
+
+    // Attributes holding URLs; dangerous schemes in them are never rendered
+    const urlAttributes = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href', 'data', 'srcset'];
+
+    // What sanitize() keeps by default; change it (or pass options) to allow more
+    const sanitizeDefaults = {
+        tags: [
+            'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt',
+            'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li',
+            'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'summary', 'sup',
+            'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+        ],
+        attributes: {
+            '*': ['class', 'title', 'lang', 'dir'],
+            a: ['href', 'target', 'rel', 'name'],
+            img: ['src', 'alt', 'width', 'height'],
+            ol: ['start', 'type'],
+            td: ['colspan', 'rowspan'],
+            th: ['colspan', 'rowspan', 'scope'],
+            blockquote: ['cite'],
+            q: ['cite'],
+            del: ['cite'],
+            ins: ['cite']
+        },
+        schemes: ['http', 'https', 'mailto', 'tel']
+    };
+
+    // Removed together with their content; other disallowed tags keep their text
+    const droppedContentTags = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'svg', 'math', 'select', 'textarea', 'title', 'head'];
+    const voidTags = ['area', 'br', 'col', 'embed', 'hr', 'img', 'source', 'track', 'wbr'];
+
+    // Scheme of url as a browser would read it (entities decoded, control characters ignored), or null if relative
+    function urlScheme(url) {
+        const decoded = String(url)
+            .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+            .replace(/&#(\d+);?/g, (match, dec) => String.fromCharCode(parseInt(dec, 10)))
+            .replace(/&colon;/gi, ':')
+            .replace(/&(tab|newline);/gi, '')
+            .replace(/[\u0000- \u007f-\u009f]/g, '')
+            .toLowerCase();
+        const match = decoded.match(/^([a-z][a-z0-9+.-]*):/);
+        return match ? match[1] : null;
+    }
+
+    // Prop values: everything but script URLs (javascript:, vbscript:) and
+    // non-image data: URLs. srcset is checked URL by URL
+    function isSafeUrl(url, attribute) {
+        if (attribute === 'srcset') {
+            return String(url).split(',').every(candidate => isSafeUrl(candidate.trim().split(/\s+/)[0]));
+        }
+        const scheme = urlScheme(url);
+        if (scheme === 'javascript' || scheme === 'vbscript') return false;
+        if (scheme === 'data') return /^data:image\/(png|gif|jpe?g|webp|avif|bmp);/i.test(String(url).trim());
+        return true;
+    }
+
+    // Allowlist HTML sanitizer. Rebuilds the markup from the allowed tags and
+    // attributes only, so the result is the same string in the DOM and in rsf-static
+    function sanitize(html, options) {
+        const config = Object.assign({}, sanitizeDefaults, options);
+        const allowedAttributes = tag => (config.attributes['*'] || []).concat(config.attributes[tag] || []);
+        const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+        const attributePattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+        const source = String(html);
+        const open = [];
+        let output = '';
+        let index = 0;
+
+        while (index < source.length) {
+            const next = source.indexOf('<', index);
+            if (next === -1) {
+                output += source.slice(index).replace(/>/g, '&gt;');
+                break;
+            }
+            output += source.slice(index, next).replace(/>/g, '&gt;');
+            index = next;
+
+            if (source.startsWith('<!--', index)) {
+                const end = source.indexOf('-->', index + 4);
+                index = end === -1 ? source.length : end + 3;
+                continue;
+            }
+            if (source.startsWith('<!', index) || source.startsWith('<?', index)) {
+                const end = source.indexOf('>', index);
+                index = end === -1 ? source.length : end + 1;
+                continue;
+            }
+
+            tagPattern.lastIndex = index;
+            const match = tagPattern.exec(source);
+            if (!match) {
+                // A lone "<" is text
+                output += '&lt;';
+                index++;
+                continue;
+            }
+            index = tagPattern.lastIndex;
+
+            const [, closing, name, attributes, selfClosing] = match;
+            const tag = name.toLowerCase();
+
+            if (!closing && droppedContentTags.includes(tag)) {
+                if (!selfClosing) {
+                    const end = source.toLowerCase().indexOf(`</${tag}`, index);
+                    const close = end === -1 ? -1 : source.indexOf('>', end);
+                    index = close === -1 ? source.length : close + 1;
+                }
+                continue;
+            }
+            if (!config.tags.includes(tag)) continue;
+
+            if (closing) {
+                // Close what was opened since, drop stray closing tags
+                const position = open.lastIndexOf(tag);
+                if (position !== -1) {
+                    output += open.splice(position).reverse().map(openTag => `</${openTag}>`).join('');
+                }
+                continue;
+            }
+
+            let attrs = '';
+            const allowed = allowedAttributes(tag);
+            let attribute;
+            attributePattern.lastIndex = 0;
+            while ((attribute = attributePattern.exec(attributes))) {
+                const attr = attribute[1].toLowerCase();
+                const value = attribute[2] !== undefined ? attribute[2] : attribute[3] !== undefined ? attribute[3] : attribute[4] || '';
+                if (!allowed.includes(attr)) continue;
+                if (urlAttributes.includes(attr)) {
+                    const scheme = urlScheme(value);
+                    if (scheme && !config.schemes.includes(scheme)) continue;
+                }
+                attrs += ` ${attr}="${value.replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}"`;
+            }
+            // Links opening a new window must not get a handle on this one
+            if (tag === 'a' && /target="_blank"/i.test(attrs) && !/ rel="/.test(attrs)) {
+                attrs += ' rel="noopener noreferrer"';
+            }
+
+            output += `<${tag}${attrs}>`;
+            if (!voidTags.includes(tag) && !selfClosing) open.push(tag);
+        }
+
+        return output + open.reverse().map(tag => `</${tag}>`).join('');
+    }
+
+    // Nested CSS text -> [[selector or property, block or value], ...], the entry
+    // form r.css objects are compiled from (entries keep duplicate keys and order)
+    function parseCss(text) {
+        const root = [];
+        const stack = [root];
+        let buffer = '';
+        let quote = null;
+
+        const declare = () => {
+            const declaration = buffer.trim();
+            const colon = declaration.indexOf(':');
+            if (declaration && colon > 0) {
+                stack[stack.length - 1].push([declaration.slice(0, colon).trim(), declaration.slice(colon + 1).trim()]);
+            }
+            buffer = '';
+        };
+
+        for (const char of text.replace(/\/\*[\s\S]*?\*\//g, '')) {
+            if (quote) {
+                if (char === quote) quote = null;
+                buffer += char;
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+                buffer += char;
+            } else if (char === '{') {
+                const block = [];
+                stack[stack.length - 1].push([buffer.trim(), block]);
+                stack.push(block);
+                buffer = '';
+            } else if (char === '}') {
+                declare();
+                if (stack.length > 1) stack.pop();
+            } else if (char === ';') {
+                declare();
+            } else {
+                buffer += char;
+            }
+        }
+        declare();
+        return root;
+    }
+
+    const cssEntries = style => (Array.isArray(style) ? style : Object.entries(style));
+
+    const cssDeclarations = entries => entries
+        .filter(([, value]) => value === null || typeof value !== 'object')
+        .filter(([, value]) => value !== null && value !== undefined && value !== false)
+        .map(([property, value]) => `${property.indexOf('--') === 0 ? property : camelToKebab(property)}: ${value};`)
+        .join(' ');
+
+    // ':hover' and '::before' attach to the parent, '&' is replaced by it,
+    // anything else is a descendant; comma lists combine
+    function nestSelector(parent, key) {
+        return parent.split(',').map(outer => outer.trim()).reduce((selectors, outer) => selectors.concat(
+            key.split(',').map(inner => inner.trim()).map(inner => {
+                if (inner.indexOf('&') !== -1) return inner.replace(/&/g, outer);
+                if (inner.charAt(0) === ':') return outer + inner;
+                return `${outer} ${inner}`;
+            })
+        ), []).join(', ');
+    }
+
+    function compileRules(style, selector, atRules, rules) {
+        const entries = cssEntries(style);
+        const declarations = cssDeclarations(entries);
+        if (declarations) {
+            rules.push(atRules.reduceRight((rule, atRule) => `${atRule} { ${rule} }`, `${selector} { ${declarations} }`));
+        }
+        entries.forEach(([key, value]) => {
+            if (value === null || typeof value !== 'object') return;
+            if (/^@(keyframes|font-face)/.test(key)) {
+                // Global by nature: emitted as written, keyframe names are not scoped
+                const body = key.indexOf('@font-face') === 0
+                    ? cssDeclarations(cssEntries(value))
+                    : cssEntries(value).map(([frame, block]) => `${frame} { ${cssDeclarations(cssEntries(block))} }`).join(' ');
+                rules.push(`${key} { ${body} }`);
+            } else if (key.charAt(0) === '@') {
+                compileRules(value, selector, atRules.concat(key), rules);
+            } else {
+                compileRules(value, nestSelector(selector, key), atRules, rules);
+            }
+        });
+        return rules;
+    }
+
+    // djb2, as a short base-36 string
+    function hashString(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    // r.css({ ... }), r.css('...') or r.css`...` -> { className, rules }. The class
+    // name is a hash of the styles, so equal styles share one class everywhere
+    function compileCss(input, ...values) {
+        const style = Array.isArray(input) && input.raw
+            ? input.reduce((text, part, i) => text + part + (i < values.length ? values[i] : ''), '')
+            : input;
+        const entries = typeof style === 'string' ? parseCss(style) : style;
+        const className = `rsf-${hashString(JSON.stringify(entries))}`;
+        return { className, rules: compileRules(entries, `.${className}`, [], []) };
+    }
+
+    // Per document or shadow root: its <style data-rsf-css> (possibly rendered by
+    // rsf-static) and the classes already in it
+    const cssTargets = new WeakMap();
+
+    function injectCss(className, rules, root) {
+        const doc = root.ownerDocument || root;
+        let target = cssTargets.get(root);
+        if (!target) {
+            target = { element: root.querySelector('style[data-rsf-css]'), classes: new Set() };
+            if (target.element) {
+                target.element.getAttribute('data-rsf-css').split(' ').filter(Boolean).forEach(name => target.classes.add(name));
+            } else {
+                target.element = doc.createElement('style');
+                target.element.setAttribute('data-rsf-css', '');
+                (root.nodeType === 9 ? root.head : root).appendChild(target.element);
+            }
+            cssTargets.set(root, target);
+        }
+        if (target.classes.has(className)) return;
+        target.classes.add(className);
+        target.element.appendChild(doc.createTextNode(rules.join('\n') + '\n'));
+    }
+
+    // Modifiers accepted after the event name ('keydown.enter.prevent') or as
+    // flags on a handler object; any other modifier filters on event.key
+    const listenerModifiers = ['once', 'passive', 'capture', 'prevent', 'stop', 'self', 'delegate'];
+
+    const keyAliases = {
+        esc: 'escape', space: ' ', up: 'arrowup', down: 'arrowdown',
+        left: 'arrowleft', right: 'arrowright', del: 'delete'
+    };
+
+    // Events that do not bubble to the root, so they are never delegated
+    const nonBubblingEvents = [
+        'focus', 'blur', 'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave',
+        'scroll', 'load', 'error', 'toggle', 'play', 'pause', 'ended'
+    ];
+
+    // 'keydown.enter.prevent' or { handler, once, key } -> { name, handler, modifiers, keys }
+    function parseListener(spec, value) {
+        const [name, ...parts] = spec.split('.');
+        const parsed = { name, handler: value, modifiers: {}, keys: [] };
+        if (typeof value === 'object' && value !== null) {
+            parsed.handler = value.handler;
+            listenerModifiers.forEach(modifier => {
+                if (value[modifier]) parsed.modifiers[modifier] = true;
+            });
+            parts.push(...[].concat(value.key || value.keys || []));
+        }
+        parts.forEach(part => {
+            const lower = part.toLowerCase();
+            if (listenerModifiers.includes(lower)) {
+                parsed.modifiers[lower] = true;
+            } else {
+                parsed.keys.push(keyAliases[lower] || lower);
+            }
+        });
+        if (typeof parsed.handler !== 'function') {
+            throw new Error(`RSF: Handler for "${spec}" must be a function`);
+        }
+        return parsed;
+    }
+
+    // One listener per event type on the root element, dispatching to the
+    // handlers stored on the nodes the event passed through that delegate to it
+    function delegateEvent(rootElement, name) {
+        rootElement._rsfDelegated = rootElement._rsfDelegated || new Map();
+        if (rootElement._rsfDelegated.has(name)) return;
+
+        const dispatch = e => {
+            let node = e.target;
+            while (node && node !== rootElement.parentNode) {
+                const listeners = (node._rsfListeners || [])
+                    .filter(entry => entry[0] === name && entry[2] && entry[2].delegate === rootElement);
+                if (listeners.length) {
+                    Object.defineProperty(e, 'currentTarget', { value: node, configurable: true });
+                    listeners.forEach(entry => entry[1].call(node, e));
+                }
+                if (e.cancelBubble || node === rootElement) break;
+                node = node.parentNode;
+            }
+        };
+        rootElement.addEventListener(name, dispatch);
+        rootElement._rsfDelegated.set(name, dispatch);
+    }
+
+    function undelegateEvents(rootElement) {
+        (rootElement._rsfDelegated || new Map()).forEach((dispatch, name) => {
+            rootElement.removeEventListener(name, dispatch);
+        });
+        rootElement._rsfDelegated = null;
+    }
+
+    // Attach a handler to element, recording it so re-renders can move it onto the live node
+    function listen(element, spec, value, root) {
+        const { name, handler, modifiers, keys } = parseListener(spec, value);
+        const delegate = (modifiers.delegate || (root.options && root.options.delegate))
+            && !modifiers.capture && !nonBubblingEvents.includes(name);
+
+        const listener = function (e) {
+            if (modifiers.self && e.target !== this) return;
+            if (keys.length && !keys.includes(String(e.key).toLowerCase())) return;
+            if (modifiers.prevent) e.preventDefault();
+            if (modifiers.stop) e.stopPropagation();
+            // this is the node dispatched to: after a re-render the entry lives on the
+            // live node, not on the element it was rendered into
+            if (delegate && modifiers.once) {
+                this._rsfListeners = this._rsfListeners.filter(entry => entry[1] !== listener);
+            }
+            if (handler.prototype) {
+                handler.call(this, e, root);
+            } else {
+                handler(e, root);
+            }
+        };
+
+        // delegate holds the root element handling the event, so a portal's root and the
+        // app's root never both run a handler
+        const options = {
+            capture: !!modifiers.capture,
+            once: !!modifiers.once,
+            passive: !!modifiers.passive,
+            delegate: delegate ? root._element : false
+        };
+        if (delegate) {
+            delegateEvent(root._element, name);
+        } else {
+            element.addEventListener(name, listener, options);
+        }
+        element._rsfListeners = element._rsfListeners || [];
+        element._rsfListeners.push([name, listener, options]);
+    }
+
+    // r.transition containers animate their children in and out. A leaving node
+    // stays in the DOM, marked _rsfLeaving, until its animation ends; morphing and
+    // keyed lists treat it as already gone
+    function motionAllowed() {
+        if (typeof window === 'undefined') return false;
+        return !(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    function nextFrame(fn) {
+        if (typeof requestAnimationFrame === 'function') {
+            requestAnimationFrame(() => requestAnimationFrame(fn));
+        } else {
+            setTimeout(fn, 16);
+        }
+    }
+
+    // Longest transition or animation set on node by its CSS, in ms
+    function cssDuration(node) {
+        if (typeof window === 'undefined' || !window.getComputedStyle) return 0;
+        const style = window.getComputedStyle(node);
+        const times = value => String(value || '').split(',').map(time => parseFloat(time) * (/ms\s*$/.test(time) ? 1 : 1000) || 0);
+        const longest = (durations, delays) => Math.max(0, ...times(durations).map((time, i) => time + (times(delays)[i] || 0)));
+        return Math.max(
+            longest(style.transitionDuration, style.transitionDelay),
+            longest(style.animationDuration, style.animationDelay)
+        );
+    }
+
+    function phaseDuration(transition, phase) {
+        const duration = transition.duration;
+        return duration !== null && typeof duration === 'object' ? duration[phase] : duration;
+    }
+
+    // Keyframes from options.enter/leave run with the Web Animations API; otherwise
+    // name-enter-from/-active/-to (or name-leave-...) classes drive a CSS transition.
+    // Returns a function that stops the animation without calling done
+    function animateNode(transition, node, phase, done) {
+        const stopped = () => {};
+        if (!motionAllowed() || node.nodeType !== 1) {
+            done();
+            return stopped;
+        }
+        const time = phaseDuration(transition, phase);
+        const keyframes = transition[phase];
+        let cancelled = false;
+
+        if (keyframes) {
+            if (typeof node.animate !== 'function') {
+                done();
+                return stopped;
+            }
+            const animation = node.animate(keyframes, {
+                duration: time === undefined ? 300 : time,
+                easing: transition.easing || 'ease',
+                fill: phase === 'leave' ? 'forwards' : 'none'
+            });
+            animation.onfinish = animation.oncancel = () => {
+                if (!cancelled) done();
+            };
+            return () => {
+                cancelled = true;
+                animation.cancel();
+            };
+        }
+
+        if (!transition.name) {
+            done();
+            return stopped;
+        }
+        const from = `${transition.name}-${phase}-from`;
+        const active = `${transition.name}-${phase}-active`;
+        const to = `${transition.name}-${phase}-to`;
+        const hadClass = node.hasAttribute('class');
+        let timer = null;
+        const clear = () => {
+            node.classList.remove(from, active, to);
+            if (!hadClass && !node.getAttribute('class')) node.removeAttribute('class');
+        };
+        const finish = () => {
+            clear();
+            done();
+        };
+        node.classList.add(from, active);
+        const wait = time === undefined ? cssDuration(node) : time;
+        if (!wait) {
+            finish();
+            return stopped;
+        }
+        nextFrame(() => {
+            if (cancelled) return;
+            node.classList.remove(from);
+            node.classList.add(to);
+            timer = setTimeout(finish, wait);
+        });
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+            clear();
+        };
+    }
+
+    function enterNode(transition, node) {
+        if (node.nodeType !== 1) return;
+        node._rsfEntering = true;
+        node._rsfStopEnter = animateNode(transition, node, 'enter', () => {
+            node._rsfEntering = false;
+        });
+    }
+
+    // Remove child from parent, after its leave animation if parent is a transition container
+    function removeChild(parent, child) {
+        if (child._rsfLeaving) return;
+        const transition = parent._rsfTransition;
+        if (!transition || child.nodeType !== 1) {
+            parent.removeChild(child);
+            return;
+        }
+        if (child._rsfEntering) {
+            child._rsfStopEnter();
+            child._rsfEntering = false;
+        }
+        child._rsfLeaving = true;
+        child._rsfStopLeave = animateNode(transition, child, 'leave', () => {
+            if (child.parentNode === parent) parent.removeChild(child);
+        });
+    }
+
+    // Content that comes back while its node is still leaving takes that node back
+    // (rather than adding a second one with the same id or key) and enters again
+    function reviveNode(transition, node) {
+        node._rsfStopLeave();
+        node._rsfLeaving = false;
+        enterNode(transition, node);
+    }
+
+    // A leaving child of parent that node could be patched into
+    function findLeaving(parent, node) {
+        return Array.from(parent.childNodes).find(child => child._rsfLeaving && isSameNode(child, node)) || null;
+    }
+
+    // FLIP: remember where the children are before a change...
+    function recordPositions(parent) {
+        const transition = parent._rsfTransition;
+        if (!transition || !transition.move || !motionAllowed()) return null;
+        const positions = new Map();
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === 1 && !node._rsfLeaving) positions.set(node, node.getBoundingClientRect());
+        });
+        return positions;
+    }
+
+    // ...then animate the ones that moved from there to their new place
+    function playMoves(parent, positions) {
+        if (!positions) return;
+        const transition = parent._rsfTransition;
+        positions.forEach((before, node) => {
+            if (node.parentNode !== parent || node._rsfLeaving || node._rsfEntering || typeof node.animate !== 'function') return;
+            const after = node.getBoundingClientRect();
+            const dx = before.left - after.left;
+            const dy = before.top - after.top;
+            if (!dx && !dy) return;
+            const time = phaseDuration(transition, 'move');
+            node.animate([{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'none' }], {
+                duration: time === undefined ? 300 : time,
+                easing: transition.easing || 'ease'
+            });
+        });
+    }
+
+    // Two nodes can be patched into each other when they are the same kind of node
+    // and agree on their identifying attributes
+    function isSameNode(a, b) {
+        if (a.nodeType !== b.nodeType) return false;
+        if (a.nodeType === 8) return a.nodeValue === b.nodeValue;
+        if (a.nodeType !== 1) return true;
+        return a.nodeName === b.nodeName &&
+            a.getAttribute('id') === b.getAttribute('id') &&
+            a.getAttribute('data-key') === b.getAttribute('data-key') &&
+            a.getAttribute('type') === b.getAttribute('type');
+    }
+
+    // Attributes the user agent toggles itself; only set them, never strip them
+    const preservedAttributes = { DETAILS: ['open'], DIALOG: ['open'] };
+
+    function morphAttributes(from, to) {
+        const preserved = preservedAttributes[from.nodeName] || [];
+        Array.from(from.attributes).forEach(attr => {
+            if (!to.hasAttributeNS(attr.namespaceURI, attr.localName) && !preserved.includes(attr.name)) {
+                from.removeAttributeNS(attr.namespaceURI, attr.localName);
+            }
+        });
+        Array.from(to.attributes).forEach(attr => {
+            if (from.getAttributeNS(attr.namespaceURI, attr.localName) !== attr.value) {
+                from.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+            }
+        });
+    }
+
+    // Sync live form state only when the new render asks for it, so typing and caret survive
+    function morphFormState(from, to) {
+        if (from.nodeName === 'INPUT') {
+            if (to.hasAttribute('checked') !== from.hasAttribute('checked')) {
+                from.checked = to.checked;
+            }
+            if (to.hasAttribute('value') && from.value !== to.value) {
+                from.value = to.value;
+            }
+        } else if (from.nodeName === 'TEXTAREA') {
+            // The value is never rendered, only the content: follow it when the content
+            // changed since the last render or comes from a binding, so typed text survives
+            const contentChanged = to.textContent !== from.textContent;
+            if ((contentChanged || to._rsfBinding) && from.value !== to.value) {
+                from.value = to.value;
+            }
+        } else if (from.nodeName === 'OPTION') {
+            if (to.hasAttribute('selected') !== from.hasAttribute('selected')) {
+                from.selected = to.selected;
+            }
+        }
+    }
+
+    // Move listeners and watch subscriptions from the freshly rendered node to the live one
+    function morphBindings(from, to) {
+        // Delegated handlers live on the root element; only the stored entries move
+        (from._rsfListeners || []).forEach(([name, listener, options = {}]) => {
+            if (!options.delegate) from.removeEventListener(name, listener, options);
+        });
+        (to._rsfListeners || []).forEach(([name, listener, options = {}]) => {
+            if (!options.delegate) from.addEventListener(name, listener, options);
+        });
+        from._rsfListeners = to._rsfListeners;
+
+        from._rsfWatcher = to._rsfWatcher;
+        if (from._rsfWatcher) {
+            from._rsfWatcher.node = from;
+        }
+
+        from._rsfBinding = to._rsfBinding;
+        if (from._rsfBinding) {
+            from._rsfBinding.node = from;
+        }
+
+        if (to._rsfTransition) from._rsfTransition = to._rsfTransition;
+    }
+
+    function morphNode(from, to) {
+        if (from.nodeType !== 1) {
+            if (from.nodeValue !== to.nodeValue) {
+                from.nodeValue = to.nodeValue;
+            }
+            // Keyed list markers: point the list at the live marker
+            const list = to._rsfList;
+            if (list) {
+                from._rsfList = list;
+                list[list.start === to ? 'start' : 'end'] = from;
+            }
+            return;
+        }
+        morphFormState(from, to);
+        morphAttributes(from, to);
+        morphBindings(from, to);
+        morphChildren(from, to);
+    }
+
+    // Patch from's children to match to's, consuming to's unmatched nodes
+    function morphChildren(from, to) {
+        const transition = from._rsfTransition;
+        const positions = recordPositions(from);
+        let oldChild = from.firstChild;
+        let newChild = to.firstChild;
+
+        while (newChild) {
+            const nextNew = newChild.nextSibling;
+
+            let match = oldChild;
+            while (match && (match._rsfLeaving || !isSameNode(match, newChild))) {
+                match = match.nextSibling;
+            }
+
+            if (match) {
+                // Old nodes skipped over have no counterpart in the new render
+                while (oldChild !== match) {
+                    const next = oldChild.nextSibling;
+                    removeChild(from, oldChild);
+                    oldChild = next;
+                }
+                morphNode(match, newChild);
+                oldChild = match.nextSibling;
+            } else {
+                const leaving = transition ? findLeaving(from, newChild) : null;
+                if (leaving) {
+                    if (leaving === oldChild) {
+                        oldChild = leaving.nextSibling;
+                    } else {
+                        from.insertBefore(leaving, oldChild);
+                    }
+                    morphNode(leaving, newChild);
+                    reviveNode(transition, leaving);
+                } else {
+                    from.insertBefore(newChild, oldChild);
+                    if (transition) enterNode(transition, newChild);
+                }
+            }
+
+            newChild = nextNew;
+        }
+
+        while (oldChild) {
+            const next = oldChild.nextSibling;
+            removeChild(from, oldChild);
+            oldChild = next;
+        }
+
+        playMoves(from, positions);
+    }
+
+    // Replace the states a watched container is subscribed to
+    function watchStates(watcher, states) {
+        watcher.states.forEach(state => state.removeListener(watcher.listener));
+        watcher.states = Array.from(states);
+        watcher.states.forEach(state => state.addListener(watcher.listener));
+        watcher.node.setAttribute('data-rsf-watching', watcher.states.map(s => s._stateId).join(','));
+    }
+
+    // Run a watched container's render function. Reads are isolated from any
+    // enclosing tracker; with watch: 'auto' they become its subscriptions
+    function runWatcher(watcher, r) {
+        const deps = new Set();
+        track(() => watcher.render(r), watcher.auto ? deps : null);
+        if (watcher.auto) watchStates(watcher, deps);
+    }
+
+    // Render into a detached copy, then patch the live element so unchanged nodes
+    // keep focus, caret, scroll position and media playback
+    function renderWatched(watcher) {
+        if (watcher.disposed || typeof watcher.render !== 'function') return;
+        if (debugChanged.size) logRender(watcher);
+        cleanupOwner(watcher);
+        const scratch = watcher.node.cloneNode(false);
+        const tempR = Object.create(watcher.root);
+        tempR._currentElement = scratch;
+        tempR._owner = watcher;
+        tempR._context = watcher.context;
+        runWatcher(watcher, tempR);
+        morphChildren(watcher.node, scratch);
+        runMounts();
+    }
+
+    // Indices of the longest increasing run of seq, ignoring negative entries;
+    // rows at these positions can stay where they are
+    function longestIncreasingSubsequence(seq) {
+        const tails = [];
+        const previous = [];
+        seq.forEach((value, i) => {
+            if (value < 0) return;
+            let lo = 0;
+            let hi = tails.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (seq[tails[mid]] < value) lo = mid + 1; else hi = mid;
+            }
+            previous[i] = lo > 0 ? tails[lo - 1] : -1;
+            tails[lo] = i;
+        });
+        const result = new Set();
+        let i = tails.length ? tails[tails.length - 1] : -1;
+        while (i >= 0) {
+            result.add(i);
+            i = previous[i];
+        }
+        return result;
+    }
+
+    // Render one list item into a detached copy of the list's parent (so SVG rows
+    // get the SVG namespace), tagging its top-level elements with the key
+    function renderRow(list, key, item, index) {
+        const owner = createOwner(list.depth + 1);
+        list.owners.set(key, owner);
+        const scratch = list.start.parentNode.cloneNode(false);
+        const tempR = Object.create(list.root);
+        tempR._currentElement = scratch;
+        tempR._owner = owner;
+        tempR._context = list.context;
+        track(() => list.itemRenderFn(tempR, item, index), null);
+        const nodes = Array.from(scratch.childNodes);
+        nodes.forEach(node => {
+            if (node.nodeType === 1) node.setAttribute('data-key', key);
+        });
+        return nodes;
+    }
+
+    // Group the nodes between the list markers by their row key; nodes that are
+    // still leaving go into leaving instead
+    function collectRows(list, leaving) {
+        const rows = new Map();
+        let key = null;
+        for (let node = list.start.nextSibling; node && node !== list.end; node = node.nextSibling) {
+            if (node._rsfLeaving) {
+                const leavingKey = node.getAttribute('data-key');
+                if (!leaving.has(leavingKey)) leaving.set(leavingKey, []);
+                leaving.get(leavingKey).push(node);
+                continue;
+            }
+            if (node.nodeType === 1) key = node.getAttribute('data-key');
+            if (!rows.has(key)) rows.set(key, []);
+            rows.get(key).push(node);
+        }
+        return rows;
+    }
+
+    function updateList(list) {
+        if (list.disposed) return;
+        const parent = list.end.parentNode;
+        const positions = recordPositions(parent);
+        const leavingRows = new Map();
+        const oldRows = collectRows(list, leavingRows);
+        const oldKeys = Array.from(oldRows.keys());
+        const items = list.state.peek() || [];
+        const nextItems = new Map();
+
+        const rows = items.map((item, index) => {
+            const key = String(list.keyFn(item, index));
+            nextItems.set(key, item);
+            let nodes = oldRows.get(key);
+            let oldIndex = -1;
+
+            if (nodes) {
+                oldRows.delete(key);
+                oldIndex = oldKeys.indexOf(key);
+                if (list.items.get(key) !== item) {
+                    cleanupOwner(list.owners.get(key));
+                    const fresh = renderRow(list, key, item, index);
+                    if (fresh.length === nodes.length && nodes.every((node, i) => isSameNode(node, fresh[i]))) {
+                        nodes.forEach((node, i) => morphNode(node, fresh[i]));
+                    } else {
+                        nodes.forEach(node => parent.removeChild(node));
+                        nodes = fresh;
+                        oldIndex = -1;
+                    }
+                }
+            } else {
+                nodes = renderRow(list, key, item, index);
+                const leaving = leavingRows.get(key);
+                if (leaving && leaving.length === nodes.length && leaving.every((node, i) => isSameNode(node, nodes[i]))) {
+                    // The row came back before its leave animation ended
+                    leaving.forEach((node, i) => {
+                        morphNode(node, nodes[i]);
+                        reviveNode(parent._rsfTransition, node);
+                    });
+                    return { nodes: leaving, oldIndex, added: false };
+                }
+            }
+
+            return { nodes, oldIndex, added: oldIndex === -1 && !oldKeys.includes(key) };
+        });
+
+        // Rows whose key disappeared
+        oldRows.forEach((nodes, key) => {
+            const owner = list.owners.get(key);
+            if (owner) {
+                cleanupOwner(owner);
+                owner.disposed = true;
+                list.owners.delete(key);
+            }
+            nodes.forEach(node => removeChild(parent, node));
+        });
+
+        // Only move rows that fall outside the longest run already in order
+        const stay = longestIncreasingSubsequence(rows.map(row => row.oldIndex));
+        let anchor = list.end;
+        for (let i = rows.length - 1; i >= 0; i--) {
+            const nodes = rows[i].nodes;
+            if (!stay.has(i)) {
+                nodes.forEach(node => parent.insertBefore(node, anchor));
+                if (rows[i].added && parent._rsfTransition) nodes.forEach(node => enterNode(parent._rsfTransition, node));
+            }
+            if (nodes.length) anchor = nodes[0];
+        }
+
+        playMoves(parent, positions);
+        list.items = nextItems;
+        runMounts();
+    }
+
+    // Two-way binding between a form control and a State (the bind prop).
+    // bind accepts state, [state, prop] and [state, prop, { parse, format, event }]
+    function createBinding(bind, element) {
+        const args = Array.isArray(bind) ? bind : [bind];
+        const binding = { state: args[0], node: element, prop: null, parse: null, format: null, event: null };
+        args.slice(1).forEach(arg => {
+            if (typeof arg === 'string') {
+                binding.prop = arg;
+            } else if (arg) {
+                ['parse', 'format', 'event'].forEach(key => {
+                    if (arg[key]) binding[key] = arg[key];
+                });
+            }
+        });
+
+        const type = (element.getAttribute('type') || '').toLowerCase();
+        if (binding.prop && binding.prop !== 'value' && binding.prop !== 'checked') {
+            binding.kind = 'prop';
+        } else if (element.nodeName === 'INPUT' && (type === 'checkbox' || type === 'radio')) {
+            binding.kind = type;
+        } else if (element.nodeName === 'SELECT') {
+            binding.kind = element.multiple ? 'multiple' : 'select';
+        } else if (element.nodeName === 'INPUT' && (type === 'number' || type === 'range')) {
+            binding.kind = 'number';
+        } else {
+            binding.kind = 'value';
+        }
+
+        binding.parse = binding.parse || (binding.kind === 'number'
+            ? value => (value === '' ? null : Number(value))
+            : value => value);
+        binding.format = binding.format || {
+            checkbox: Boolean,
+            multiple: values => (values || []).map(String),
+            prop: value => value
+        }[binding.kind] || (value => (value === null || value === undefined ? '' : String(value)));
+        binding.event = binding.event ||
+            (binding.kind === 'value' || binding.kind === 'number' ? 'input' : 'change');
+
+        return binding;
+    }
+
+    function readBinding(binding) {
+        const node = binding.node;
+        switch (binding.kind) {
+            case 'checkbox': return binding.parse(node.checked);
+            case 'multiple': return binding.parse(Array.from(node.options).filter(o => o.selected).map(o => o.value));
+            case 'prop': return binding.parse(node[binding.prop]);
+            default: return binding.parse(node.value);
+        }
+    }
+
+    // Write the state's value as attributes too, so re-renders and createStatic agree
+    function writeBinding(binding) {
+        const node = binding.node;
+        const value = binding.format(binding.state.peek());
+        const toggle = (element, attr, on) => {
+            element[attr] = on;
+            if (on) element.setAttribute(attr, ''); else element.removeAttribute(attr);
+        };
+
+        switch (binding.kind) {
+            case 'checkbox':
+                toggle(node, 'checked', value);
+                break;
+            case 'radio':
+                toggle(node, 'checked', value === node.value);
+                break;
+            case 'select':
+            case 'multiple':
+                Array.from(node.options).forEach(option => {
+                    toggle(option, 'selected', binding.kind === 'multiple'
+                        ? value.includes(option.value)
+                        : option.value === value);
+                });
+                break;
+            case 'prop':
+                node[binding.prop] = value;
+                break;
+            default:
+                if (node.nodeName === 'TEXTAREA') {
+                    node.textContent = value;
+                } else {
+                    node.setAttribute('value', value);
+                }
+                if (node.value !== value) node.value = value;
+        }
+    }
+
+    // Typed text is only overwritten when it no longer parses to the state's
+    // value, so "1." in a number input survives
+    function syncBinding(binding) {
+        if (binding.kind === 'value' || binding.kind === 'number') {
+            if (readBinding(binding) === binding.state.peek()) return;
+        }
+        writeBinding(binding);
+    }
+
+    // Hydration walks server-rendered children in render order; this remembers
+    // the next unclaimed node of every parent visited
+    const hydrationCursors = new WeakMap();
+
+    // True while rsf.hydrate() is claiming nodes (hydration is synchronous)
+    let isHydrating = false;
+
+    function describeNode(node) {
+        if (!node) return 'nothing';
+        if (node.nodeType === 3) return `text "${node.nodeValue.slice(0, 20)}"`;
+        return `<${node.nodeName.toLowerCase()}>`;
+    }
+
+    // Comments and whitespace between elements carry no rendered content
+    function nextHydrationNode(parent, skipWhitespace) {
+        let node = hydrationCursors.has(parent) ? hydrationCursors.get(parent) : parent.firstChild;
+        while (node && (node.nodeType === 8 || (skipWhitespace && node.nodeType === 3 && !node.nodeValue.trim()))) {
+            node = node.nextSibling;
+        }
+        return node;
+    }
+
+    // Returns null on a mismatch; the caller then inserts a fresh element in its place
+    function claimElement(parent, tag) {
+        const node = nextHydrationNode(parent, true);
+        if (node && node.nodeType === 1 && node.nodeName.toLowerCase() === tag.toLowerCase()) {
+            hydrationCursors.set(parent, node.nextSibling);
+            return node;
+        }
+        console.warn(`RSF: Hydration mismatch, expected <${tag}> but found ${describeNode(node)}`);
+        return null;
+    }
+
+    function claimText(parent, content) {
+        const node = nextHydrationNode(parent, false);
+        if (node && node.nodeType === 3) {
+            // Adjacent r.text() calls arrive as a single server-rendered text node
+            if (node.nodeValue.length > content.length && node.nodeValue.startsWith(content)) {
+                node.splitText(content.length);
+            } else if (node.nodeValue !== content) {
+                console.warn(`RSF: Hydration mismatch, expected text "${content}" but found ${describeNode(node)}`);
+                node.nodeValue = content;
+            }
+            hydrationCursors.set(parent, node.nextSibling);
+            return node;
+        }
+        console.warn(`RSF: Hydration mismatch, expected text "${content}" but found ${describeNode(node)}`);
+        const textNode = parent.ownerDocument.createTextNode(content);
+        parent.insertBefore(textNode, node);
+        hydrationCursors.set(parent, node);
+        return textNode;
+    }
+
+    // Drop server-rendered nodes the client render did not claim
+    function finishHydration(parent) {
+        let node = nextHydrationNode(parent, true);
+        while (node) {
+            const next = node.nextSibling;
+            if (node.nodeType === 1 || (node.nodeType === 3 && node.nodeValue.trim())) {
+                console.warn(`RSF: Hydration mismatch, removing unexpected ${describeNode(node)}`);
+                parent.removeChild(node);
+            }
+            node = next;
+        }
+        hydrationCursors.delete(parent);
+    }
+
+    // Claim the server-rendered nodes of one keyed list row
+    function hydrateRow(list, parent, key, item, index) {
+        const owner = createOwner(list.depth + 1);
+        list.owners.set(key, owner);
+        const first = nextHydrationNode(parent, true);
+        const tempR = Object.create(list.root);
+        tempR._currentElement = parent;
+        tempR._owner = owner;
+        tempR._context = list.context;
+        track(() => list.itemRenderFn(tempR, item, index), null);
+        const stop = nextHydrationNode(parent, true);
+        for (let node = first; node && node !== stop; node = node.nextSibling) {
+            if (node.nodeType === 1) node.setAttribute('data-key', key);
+        }
+    }
+
+    // States created during hydration start from the values createStatic serialized
+    function createHydratedState(values) {
+        let index = 0;
+        return class HydratedState extends State {
+            constructor(initialValue, options) {
+                super(index < values.length ? values[index] : initialValue, options);
+                index++;
+            }
+        };
+    }
+
+    // '/users/:id' + 'posts' -> '/users/:id/posts'
+    function joinPath(base, path) {
+        const joined = `${base}/${path || ''}`.replace(/\/+/g, '/');
+        return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+    }
+
+    // Nested routes become one entry per route, children first, each carrying
+    // its full pattern and the chain of routes from the top level down
+    function flattenRoutes(routes, parents = [], prefix = '') {
+        return routes.reduce((table, route) => {
+            const pattern = joinPath(prefix, route.path);
+            const matched = parents.concat(route);
+            if (route.children) {
+                table.push(...flattenRoutes(route.children, matched, pattern));
+            }
+            table.push({ pattern, matched });
+            return table;
+        }, []);
+    }
+
+    // Params of path for pattern, or null; ':name' matches a segment, a trailing '*' the rest
+    // Malformed escapes such as '%E0%A4%A' are kept as they are
+    function decodePart(part) {
+        try {
+            return decodeURIComponent(part);
+        } catch (error) {
+            return part;
+        }
+    }
+
+    function matchPath(pattern, path) {
+        const patternParts = pattern.split('/').filter(Boolean);
+        const pathParts = path.split('/').filter(Boolean);
+        const params = {};
+        for (let i = 0; i < patternParts.length; i++) {
+            const part = patternParts[i];
+            if (part === '*') {
+                params['*'] = pathParts.slice(i).map(decodePart).join('/');
+                return params;
+            }
+            if (i >= pathParts.length) return null;
+            if (part.charAt(0) === ':') {
+                params[part.slice(1)] = decodePart(pathParts[i]);
+            } else if (part !== pathParts[i]) {
+                return null;
+            }
+        }
+        return patternParts.length === pathParts.length ? params : null;
+    }
+
+    // '?tag=a&tag=b&page=2' -> { tag: ['a', 'b'], page: '2' }
+    function parseQuery(search) {
+        const query = {};
+        search.replace(/^\?/, '').split('&').filter(Boolean).forEach(pair => {
+            const [key, value = ''] = pair.split('=').map(part => decodePart(part.replace(/\+/g, ' ')));
+            if (key in query) {
+                query[key] = [].concat(query[key], value);
+            } else {
+                query[key] = value;
+            }
+        });
+        return query;
+    }
+
+    // '/search' or { path: '/search', query: { q: 'rsf' }, hash: 'top' } -> '/search?q=rsf#top'
+    function routeUrl(to) {
+        if (typeof to === 'string') return to;
+        const search = Object.entries(to.query || {})
+            .reduce((pairs, [key, value]) => pairs.concat([].concat(value).map(item => `${encodeURIComponent(key)}=${encodeURIComponent(item)}`)), [])
+            .join('&');
+        return `${to.path || '/'}${search ? `?${search}` : ''}${to.hash ? `#${to.hash.replace(/^#/, '')}` : ''}`;
+    }
+
+    // Call fn with value, now or once value (a promise) resolves
+    function settle(value, fn) {
+        return value && typeof value.then === 'function' ? value.then(fn) : fn(value);
+    }
+
+    // Run guards in order until one returns something other than true/undefined
+    function runGuards(guards, to, from, index = 0) {
+        for (let i = index; i < guards.length; i++) {
+            const result = guards[i](to, from);
+            if (result && typeof result.then === 'function') {
+                return result.then(value => (value === undefined || value === true ? runGuards(guards, to, from, i + 1) : value));
+            }
+            if (result !== undefined && result !== true) return result;
+        }
+        return true;
+    }
+
+    // Client-side router. The current route is a State, so anything watching it
+    // re-renders on navigation. mode 'hash' keeps the path in location.hash,
+    // 'history' uses the History API; a url option pins the router to that URL
+    // (used for pre-rendering)
+    class Router {
+        constructor(options = {}) {
+            this.mode = options.mode || 'hash';
+            this.base = (options.base || '').replace(/\/$/, '');
+            this.beforeEach = options.beforeEach;
+            this._table = flattenRoutes(options.routes || []);
+            this._fixedUrl = options.url;
+            this._navigation = null;
+            // Bumped when a lazy route finishes loading, so views render it
+            this._loaded = new State(0);
+            // null until the initial navigation passes the guards
+            this.route = new State(null);
+
+            this._onPop = () => this._start(this.currentUrl(), { pop: true });
+            if (this._fixedUrl === undefined && typeof window !== 'undefined') {
+                window.addEventListener(this.mode === 'hash' ? 'hashchange' : 'popstate', this._onPop);
+            }
+            this._start(this.currentUrl(), { replace: true });
+        }
+
+        currentUrl() {
+            if (this._fixedUrl !== undefined || typeof window === 'undefined') {
+                return this._fixedUrl || '/';
+            }
+            if (this.mode === 'hash') {
+                return window.location.hash.slice(1) || '/';
+            }
+            const path = window.location.pathname;
+            const relative = this.base && path.indexOf(this.base) === 0 ? path.slice(this.base.length) : path;
+            return (relative || '/') + window.location.search + window.location.hash;
+        }
+
+        // The href for a route URL in this router's mode
+        href(to) {
+            const url = routeUrl(to);
+            return this.mode === 'hash' ? `#${url}` : this.base + url;
+        }
+
+        // Describe url without navigating: { url, path, params, query, hash, matched }
+        resolve(to) {
+            const url = routeUrl(to);
+            const [, path, search = '', hash = ''] = url.match(/^([^?#]*)(\?[^#]*)?(#.*)?$/);
+            const normalized = joinPath('', path);
+            const route = { url, path: normalized, params: {}, query: parseQuery(search), hash, matched: [] };
+            for (const entry of this._table) {
+                const params = matchPath(entry.pattern, normalized);
+                if (params) {
+                    route.params = params;
+                    route.matched = entry.matched;
+                    break;
+                }
+            }
+            return route;
+        }
+
+        // Navigate after the guards agree; resolves to whether the route changed
+        navigate(to, options = {}) {
+            // _go settles synchronously when it can; errors still become a rejection
+            try {
+                return Promise.resolve(this._go(routeUrl(to), options));
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+
+        // A navigation nobody awaits (the initial one, back/forward, links) reports its errors
+        _start(to, options) {
+            return this.navigate(to, options).catch(error => {
+                console.error(`RSF: Navigation to "${routeUrl(to)}" failed`, error);
+                return false;
+            });
+        }
+
+        back() {
+            if (typeof window !== 'undefined') window.history.back();
+        }
+
+        // True when the current route's path is path, or below it unless exact
+        isActive(path, exact = false) {
+            const route = this.route.get();
+            if (!route) return false;
+            const target = joinPath('', path);
+            if (route.path === target) return true;
+            return !exact && target !== '/' && route.path.indexOf(`${target}/`) === 0;
+        }
+
+        _go(url, options) {
+            const to = this.resolve(url);
+            const from = this.route.peek();
+            const redirects = options.redirects || 0;
+            if (options.pop && from && from.url === to.url) return false;
+            if (redirects > 10) {
+                throw new Error(`RSF: Too many redirects navigating to "${url}"`);
+            }
+
+            const navigation = {};
+            this._navigation = navigation;
+            const guards = [this.beforeEach].concat(to.matched.map(route => route.beforeEnter)).filter(Boolean);
+
+            return settle(runGuards(guards, to, from), result => {
+                // A newer navigation started while the guards were pending
+                if (this._navigation !== navigation) return false;
+                if (result === false) {
+                    if (options.pop && from) this._writeUrl(from.url, true);
+                    return false;
+                }
+                if (typeof result === 'string' || (result && typeof result === 'object')) {
+                    return this._go(routeUrl(result), { replace: options.replace || options.pop || !from, redirects: redirects + 1 });
+                }
+                if (!options.pop) this._writeUrl(to.url, options.replace);
+                this.route.set(to);
+                return true;
+            });
+        }
+
+        _writeUrl(url, replace) {
+            if (this._fixedUrl !== undefined) {
+                this._fixedUrl = url;
+                return;
+            }
+            if (typeof window === 'undefined' || url === this.currentUrl()) return;
+            window.history[replace ? 'replaceState' : 'pushState'](null, '', this.href(url));
+        }
+
+        // The render function of a route, loading lazy routes on first use.
+        // Returns a promise while a lazy route is loading, and null for a route
+        // that only groups its children
+        _load(route) {
+            if (route.render) return route.render;
+            if (!route.lazy) return null;
+            if (!route._loading) {
+                route._loading = Promise.resolve(route.lazy()).then(module => {
+                    route.render = typeof module === 'function' ? module : module.default;
+                    this._loaded.update(count => count + 1);
+                    return route.render;
+                }, error => {
+                    route._loading = null;
+                    throw error;
+                });
+                // Reported once here, however often views render while it loads
+                route._loading.catch(error => console.error(`RSF: Failed to load route "${route.path}"`, error));
+            }
+            return route._loading;
+        }
+
+        // Render the route matched at this nesting level in a watched container.
+        // A view inside a route's render function renders the next level
+        view(r, props = {}) {
+            const depth = r._routeDepth || 0;
+            const { tag = 'div', ...rest } = props;
+            r.elem(tag, Object.assign(rest, { watch: [this.route, this._loaded] }), r => {
+                const route = this.route.get();
+                // A parent without render or lazy renders its matched child in its place
+                let level = depth;
+                while (route && route.matched[level] && !route.matched[level].render && !route.matched[level].lazy) {
+                    level++;
+                }
+                const matched = route && route.matched[level];
+                if (!matched) return;
+
+                const routeR = Object.create(r);
+                routeR._routeDepth = level + 1;
+                const render = this._load(matched);
+                if (typeof render === 'function') {
+                    return render(routeR, route);
+                }
+                if (matched.loading) matched.loading(routeR, route);
+                if (this._prerender) {
+                    // rsf-static awaits the route, then renders it in place
+                    return render.then(fn => fn(routeR, route));
+                }
+            });
+        }
+
+        // An <a> that navigates through the router instead of reloading the page
+        link(r, props, content) {
+            const { to, replace, ...rest } = props;
+            const router = this;
+            return r.a(Object.assign(rest, {
+                href: this.href(to),
+                click: function (e) {
+                    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+                    if (this.target && this.target !== '_self') return;
+                    e.preventDefault();
+                    router._start(to, { replace });
+                }
+            }), content);
+        }
+
+        destroy() {
+            if (typeof window !== 'undefined') {
+                window.removeEventListener(this.mode === 'hash' ? 'hashchange' : 'popstate', this._onPop);
+            }
+        }
+    }
+
+    // Results of keyed resources, shared by every resource: key -> { data, time }
+    const resourceCache = new Map();
+
+    // Async data as three States (data, loading, error). The fetcher runs again
+    // whenever one of the deps changes; the previous request is aborted first
+    class Resource {
+        constructor(fetcher, options = {}, owner) {
+            this._fetcher = fetcher;
+            this._options = options;
+            this._controller = null;
+            this._timer = null;
+            this._values = [];
+            this.data = new State(options.initial);
+            this.loading = new State(false);
+            this.error = new State(null);
+
+            this._dispose = effect(() => {
+                const values = (options.deps || []).map(dep => dep.get());
+                // Reads made by the fetcher are not dependencies
+                track(() => this._load(values), null);
+                return () => this.abort();
+            }, owner);
+        }
+
+        // Show the cached value for the current key, then revalidate it unless fresh
+        _load(values) {
+            const { key, staleTime = 0 } = this._options;
+            this._values = values;
+            this._key = typeof key === 'function' ? key(...values) : key;
+            const cached = this._key !== undefined ? resourceCache.get(this._key) : undefined;
+            if (cached) {
+                batch(() => {
+                    this.data.set(cached.data);
+                    this.error.set(null);
+                });
+                if (Date.now() - cached.time < staleTime) return;
+            }
+            this._fetch(0);
+        }
+
+        _fetch(attempt) {
+            const controller = typeof AbortController === 'function' ? new AbortController() : {};
+            const cacheKey = this._key;
+            this._controller = controller;
+            this.loading.set(true);
+
+            let result;
+            try {
+                result = this._fetcher({ signal: controller.signal, deps: this._values, attempt });
+            } catch (error) {
+                result = Promise.reject(error);
+            }
+
+            Promise.resolve(result).then(data => {
+                // Aborted, or replaced by a newer request
+                if (this._controller !== controller) return;
+                this._controller = null;
+                if (cacheKey !== undefined) resourceCache.set(cacheKey, { data, time: Date.now() });
+                batch(() => {
+                    this.data.set(data);
+                    this.error.set(null);
+                    this.loading.set(false);
+                });
+            }, error => {
+                if (this._controller !== controller) return;
+                const { retry = 0, retryDelay = n => 500 * Math.pow(2, n) } = this._options;
+                if (attempt < retry) {
+                    const delay = typeof retryDelay === 'function' ? retryDelay(attempt) : retryDelay;
+                    this._timer = setTimeout(() => this._fetch(attempt + 1), delay);
+                    return;
+                }
+                this._controller = null;
+                batch(() => {
+                    this.error.set(error);
+                    this.loading.set(false);
+                });
+            });
+        }
+
+        // Fetch again now, ignoring staleTime
+        refetch() {
+            this.abort();
+            this._fetch(0);
+        }
+
+        // Replace the data locally (and in the cache), e.g. after an optimistic update
+        mutate(data) {
+            const value = typeof data === 'function' ? data(this.data.peek()) : data;
+            if (this._key !== undefined) resourceCache.set(this._key, { data: value, time: Date.now() });
+            this.data.set(value);
+        }
+
+        abort() {
+            clearTimeout(this._timer);
+            if (this._controller) {
+                if (this._controller.abort) this._controller.abort();
+                this._controller = null;
+                this.loading.set(false);
+            }
+        }
+
+        dispose() {
+            this._dispose();
+        }
+    }
+
+    const isEmpty = value => value === '' || value === null || value === undefined || value === false ||
+        (Array.isArray(value) && value.length === 0);
+
+    // Built-in field rules, checked in this order. Each is also rendered as the
+    // matching constraint attribute, so the browser agrees with the form
+    const formRules = {
+        required: (value, rule) => (rule && isEmpty(value) ? 'This field is required' : null),
+        minLength: (value, n) => (!isEmpty(value) && String(value).length < n ? `Use at least ${n} characters` : null),
+        maxLength: (value, n) => (!isEmpty(value) && String(value).length > n ? `Use at most ${n} characters` : null),
+        min: (value, n) => (!isEmpty(value) && Number(value) < n ? `Must be at least ${n}` : null),
+        max: (value, n) => (!isEmpty(value) && Number(value) > n ? `Must be at most ${n}` : null),
+        // Anchored like the pattern attribute
+        pattern: (value, pattern) => (!isEmpty(value) && !new RegExp(`^(?:${pattern.source || pattern})$`).test(value)
+            ? 'Please match the requested format' : null)
+    };
+
+    // Field config key -> constraint attribute
+    const ruleAttributes = { required: 'required', minLength: 'minlength', maxLength: 'maxlength', min: 'min', max: 'max', pattern: 'pattern' };
+
+    // Call ours and then the user's handler of the same name
+    function composeHandlers(handlers, extra) {
+        const composed = Object.assign({}, extra);
+        Object.entries(handlers).forEach(([name, handler]) => {
+            const own = composed[name];
+            composed[name] = own ? function (e, r) {
+                handler.call(this, e, r);
+                return (typeof own === 'function' ? own : own.handler).call(this, e, r);
+            } : handler;
+        });
+        return composed;
+    }
+
+    // A form model: a State per field plus touched/dirty/error state, validation
+    // and submission. Errors are computed as values change and shown once the
+    // field was touched or a submit was attempted
+    class Form {
+        constructor(options = {}, owner) {
+            this._options = options;
+            this._owner = owner;
+            this.fields = {};
+            this.submitted = new State(false);
+            this.isSubmitting = new State(false);
+            this.submitError = new State(null);
+            // Errors returned by the form-level validate(values)
+            this._formErrors = new State({});
+
+            const names = Object.keys(options.fields || {});
+            names.forEach(name => {
+                this.fields[name] = this._createField(name, options.fields[name]);
+            });
+            const fields = names.map(name => this.fields[name]);
+
+            this.values = new Computed(() => names.reduce((values, name) => {
+                values[name] = this.fields[name].value.get();
+                return values;
+            }, {}));
+            this.isValid = new Computed(() => fields.every(field => !field.error.get() && !field.validating.get()));
+            this.isDirty = new Computed(() => fields.some(field => field.dirty.get()));
+
+            if (options.validate) {
+                effect(() => {
+                    const values = this.values.get();
+                    this._formErrors.set(track(() => options.validate(values), null) || {});
+                }, owner);
+            }
+        }
+
+        _createField(name, config) {
+            const initial = config.initial !== undefined ? config.initial : '';
+            const field = {
+                name,
+                config,
+                initial,
+                value: new State(initial),
+                touched: new State(false),
+                validating: new State(false),
+                element: null,
+                _ruleError: new State(null),
+                _serverError: new State(null),
+                _run: 0
+            };
+            field.dirty = new Computed(() => JSON.stringify(field.value.get()) !== JSON.stringify(field.initial));
+            field.error = new Computed(() => field._ruleError.get() || field._serverError.get() ||
+                this._formErrors.get()[name] || null);
+
+            // Custom validators wait for the first change, so nothing is fetched on load
+            let changed = false;
+            effect(() => {
+                field.value.get();
+                track(() => {
+                    field._serverError.set(null);
+                    this._validate(field, changed);
+                }, null);
+                changed = true;
+            }, this._owner);
+
+            return field;
+        }
+
+        // Validate a field; resolves to its error (or null). Stale async results are dropped
+        _validate(field, runCustom) {
+            const run = ++field._run;
+            const { config, element } = field;
+            const value = field.value.peek();
+            const messages = config.messages || {};
+
+            let error = null;
+            Object.keys(formRules).some(rule => {
+                const option = config[rule];
+                if (option === undefined || option === false) return false;
+                const message = formRules[rule](value, option);
+                // required: 'Please enter your name' doubles as the message
+                if (message) error = messages[rule] || (rule === 'required' && typeof option === 'string' ? option : message);
+                return Boolean(error);
+            });
+
+            // Constraints the rules do not cover (type="email", step, ...) come from the browser
+            if (!error && element && element.validity && element.isConnected) {
+                element.setCustomValidity('');
+                if (!element.validity.valid) error = element.validationMessage;
+            }
+
+            const validators = runCustom && !error ? [].concat(config.validate || []) : [];
+            const values = this.values ? this.values.peek() : {};
+            // A validator that throws or rejects fails with the error's message
+            const failed = reason => (reason && reason.message) || String(reason);
+            const step = index => {
+                for (let i = index; i < validators.length; i++) {
+                    let result;
+                    try {
+                        result = validators[i](value, values);
+                    } catch (reason) {
+                        return failed(reason);
+                    }
+                    if (result && typeof result.then === 'function') {
+                        field.validating.set(true);
+                        return result.then(message => message || step(i + 1), failed);
+                    }
+                    if (result) return result;
+                }
+                return null;
+            };
+
+            return Promise.resolve(settle(error || step(0), message => {
+                if (run !== field._run) return field.error.peek();
+                batch(() => {
+                    field.validating.set(false);
+                    field._ruleError.set(message || null);
+                });
+                if (field.element && field.element.setCustomValidity) field.element.setCustomValidity(message || '');
+                return message || null;
+            }));
+        }
+
+        validate(name) {
+            return this._validate(this.fields[name], true);
+        }
+
+        // Validate everything, then call onSubmit(values, form) if the form is valid.
+        // Resolves to whether onSubmit ran and succeeded
+        submit(formElement) {
+            if (this.isSubmitting.peek()) return Promise.resolve(false);
+            const fields = Object.keys(this.fields).map(name => this.fields[name]);
+
+            if (formElement && formElement.elements) {
+                fields.forEach(field => {
+                    const element = formElement.elements.namedItem(field.name);
+                    if (element && element.nodeType === 1) field.element = element;
+                });
+            }
+
+            batch(() => {
+                this.submitted.set(true);
+                this.submitError.set(null);
+                fields.forEach(field => field.touched.set(true));
+            });
+
+            return Promise.all(fields.map(field => this._validate(field, true))).then(() => {
+                flush();
+                if (!this.isValid.peek()) {
+                    const invalid = fields.find(field => field.error.peek() && field.element && field.element.focus);
+                    if (invalid) invalid.element.focus();
+                    return false;
+                }
+                this.isSubmitting.set(true);
+                return Promise.resolve()
+                    .then(() => this._options.onSubmit && this._options.onSubmit(this.values.peek(), this))
+                    .then(() => {
+                        this.isSubmitting.set(false);
+                        return true;
+                    }, error => {
+                        // onSubmit may reject with { errors: { field: message } } for server-side errors
+                        batch(() => {
+                            if (error && error.errors) this.setErrors(error.errors);
+                            this.submitError.set(error);
+                            this.isSubmitting.set(false);
+                        });
+                        return false;
+                    });
+            });
+        }
+
+        // Errors from elsewhere (e.g. the server); each clears when its field changes
+        setErrors(errors) {
+            batch(() => Object.entries(errors).forEach(([name, message]) => {
+                if (this.fields[name]) this.fields[name]._serverError.set(message || null);
+            }));
+        }
+
+        // Back to the initial values (or new ones), untouched and unsubmitted
+        reset(values = {}) {
+            batch(() => {
+                Object.keys(this.fields).forEach(name => {
+                    const field = this.fields[name];
+                    if (name in values) field.initial = values[name];
+                    field.value.set(field.initial, true);
+                    field.touched.set(false);
+                });
+                this.submitted.set(false);
+                this.submitError.set(null);
+            });
+        }
+
+        // Props for the <form>: submits through the model; the browser's own
+        // validation UI is turned off unless native: true
+        props(extra = {}) {
+            const form = this;
+            return Object.assign({ novalidate: !this._options.native }, extra, {
+                on: composeHandlers({
+                    submit: function (e) {
+                        e.preventDefault();
+                        form.submit(this);
+                    }
+                }, extra.on)
+            });
+        }
+
+        // Props for a field's control: bind, name, constraint attributes and touch tracking
+        field(name, extra = {}) {
+            const field = this.fields[name];
+            if (!field) {
+                throw new Error(`RSF: Unknown form field "${name}"`);
+            }
+            const { config } = field;
+            const props = { name };
+            if (config.type) props.type = config.type;
+            Object.keys(ruleAttributes).forEach(rule => {
+                const value = config[rule];
+                if (value === undefined || value === false) return;
+                if (rule === 'required') {
+                    props.required = true;
+                } else {
+                    props[ruleAttributes[rule]] = value.source !== undefined ? value.source : value;
+                }
+            });
+
+            const form = this;
+            return Object.assign(props, extra, {
+                bind: config.parse || config.format ? [field.value, { parse: config.parse, format: config.format }] : field.value,
+                on: composeHandlers({
+                    input: function () {
+                        field.element = this;
+                    },
+                    blur: function () {
+                        field.element = this;
+                        field.touched.set(true);
+                        form._validate(field, true);
+                    }
+                }, extra.on)
+            });
+        }
+
+        // A watched element showing the field's error once it matters
+        message(r, name, props = {}) {
+            const field = this.fields[name];
+            const { tag = 'span', ...rest } = props;
+            return r.elem(tag, Object.assign({ class: 'rsf-error' }, rest, {
+                watch: [field.error, field.touched, this.submitted]
+            }), r => {
+                const error = field.error.get();
+                if (error && (field.touched.get() || this.submitted.get())) r.text(error);
+            });
+        }
+    }
+
+    // Capture the values of a group of states (an array or an object of states)
+    function snapshot(states) {
+        const values = Array.isArray(states) ? [] : {};
+        Object.keys(states).forEach(key => {
+            values[key] = states[key].peek();
+        });
+        return { states, values };
+    }
+
+    // Put every state of a snapshot back to its captured value in one update
+    function restore(captured) {
+        batch(() => Object.keys(captured.states).forEach(key => captured.states[key].set(captured.values[key])));
+    }
+
+    // props: ['title'] or { title: String, count: { type: Number, default: 0, reflect: true } }
+    function normalizeProps(props) {
+        if (Array.isArray(props)) {
+            return props.reduce((config, name) => Object.assign(config, { [name]: { type: String } }), {});
+        }
+        return Object.keys(props || {}).reduce((config, name) => {
+            const prop = props[name];
+            config[name] = typeof prop === 'function' ? { type: prop } : Object.assign({ type: String }, prop);
+            return config;
+        }, {});
+    }
+
+    // Attribute string (or null when absent) -> prop value
+    function parseAttribute(value, prop) {
+        if (prop.type === Boolean) return value !== null && value !== 'false';
+        if (value === null) return prop.default;
+        if (prop.type === Number) return value === '' ? prop.default : Number(value);
+        if (prop.type === Array || prop.type === Object) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                console.warn(`RSF: Invalid JSON in attribute, expected ${prop.type.name}`, value);
+                return prop.default;
+            }
+        }
+        return value;
+    }
+
+    // Register a Custom Element rendered by render(r, props, host). Each prop is a
+    // State fed by both its attribute and its property; the element renders when
+    // connected and is destroyed when disconnected
+    function defineElement(name, options, render) {
+        if (typeof render !== 'function') {
+            render = options;
+            options = {};
+        }
+        if (typeof customElements === 'undefined') {
+            throw new Error('RSF: Custom Elements are not supported in this environment');
+        }
+
+        const props = normalizeProps(options.props);
+        const attributes = {};
+        Object.keys(props).forEach(prop => {
+            attributes[camelToKebab(prop)] = prop;
+        });
+        const shadow = options.shadow === undefined ? true : options.shadow;
+        const styles = [].concat(options.styles || []).join('\n');
+        let sheet = null;
+
+        class RsfElement extends HTMLElement {
+            static get observedAttributes() {
+                return Object.keys(attributes);
+            }
+
+            constructor() {
+                super();
+                this._rsfProps = {};
+                Object.keys(props).forEach(prop => {
+                    const value = props[prop].type === Boolean ? Boolean(props[prop].default) : props[prop].default;
+                    this._rsfProps[prop] = new State(value);
+                });
+                this._rsfApp = null;
+            }
+
+            connectedCallback() {
+                // Properties set before the element was upgraded shadow our accessors
+                Object.keys(props).forEach(prop => {
+                    if (Object.prototype.hasOwnProperty.call(this, prop)) {
+                        const value = this[prop];
+                        delete this[prop];
+                        this[prop] = value;
+                    }
+                });
+                if (this._rsfApp) return;
+
+                const root = shadow ? (this.shadowRoot || this.attachShadow(typeof shadow === 'object' ? shadow : { mode: 'open' })) : this;
+                this._rsfApp = rsf(root, r => render(r, this._rsfProps, this), { delegate: options.delegate });
+
+                if (styles && shadow) {
+                    if (root.adoptedStyleSheets && typeof CSSStyleSheet === 'function' && CSSStyleSheet.prototype.replaceSync) {
+                        // One constructed sheet shared by every instance
+                        if (!sheet) {
+                            sheet = new CSSStyleSheet();
+                            sheet.replaceSync(styles);
+                        }
+                        root.adoptedStyleSheets = [sheet];
+                    } else {
+                        const style = document.createElement('style');
+                        style.textContent = styles;
+                        root.insertBefore(style, root.firstChild);
+                    }
+                } else if (styles && !document.querySelector(`style[data-rsf-element="${name}"]`)) {
+                    const style = document.createElement('style');
+                    style.setAttribute('data-rsf-element', name);
+                    style.textContent = styles;
+                    document.head.appendChild(style);
+                }
+            }
+
+            // A move (removing and re-inserting, as keyed lists and portals do) disconnects
+            // and reconnects in the same task, so only tear down if still detached after it
+            disconnectedCallback() {
+                scheduleMicrotask(() => {
+                    if (this._rsfApp && !this.isConnected) {
+                        this._rsfApp.destroy();
+                        this._rsfApp = null;
+                    }
+                });
+            }
+
+            attributeChangedCallback(attribute, oldValue, value) {
+                const prop = attributes[attribute];
+                this._rsfProps[prop].set(parseAttribute(value, props[prop]));
+            }
+
+            // Dispatch a CustomEvent that crosses the shadow boundary
+            emit(type, detail, eventOptions) {
+                return this.dispatchEvent(new CustomEvent(type, Object.assign({ detail, bubbles: true, composed: true }, eventOptions)));
+            }
+        }
+
+        Object.keys(props).forEach(prop => {
+            Object.defineProperty(RsfElement.prototype, prop, {
+                get() {
+                    return this._rsfProps[prop].get();
+                },
+                set(value) {
+                    this._rsfProps[prop].set(value);
+                    if (props[prop].reflect) {
+                        const attribute = camelToKebab(prop);
+                        if (value === null || value === undefined || value === false) {
+                            this.removeAttribute(attribute);
+                        } else {
+                            this.setAttribute(attribute, value === true ? '' : (typeof value === 'object' ? JSON.stringify(value) : value));
+                        }
+                    }
+                },
+                configurable: true
+            });
+        });
+
+        customElements.define(name, RsfElement);
+        return RsfElement;
+    }
+
+    // A selector, an element, a shadow root, or a document (its body)
+    function resolveTarget(target) {
+        const node = typeof target === 'string' ? document.querySelector(target) : target;
+        return node && node.nodeType === 9 ? node.body : node;
+    }
+
     function rsf(anchor, child, options = {}) {
         const booleanAttributes = [
             'checked', 'disabled', 'required', 'readonly', 'selected',
@@ -25,8 +2505,13 @@
             'table', 'caption', 'col', 'colgroup', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr',
             'button', 'datalist', 'fieldset', 'form', 'input', 'label', 'legend', 'meter', 'optgroup', 'option',
             'output', 'progress', 'select', 'textarea',
-            'canvas',
-            'svg', 'circle', 'rect', 'text', 'path',
+            'canvas', 'slot', 'template',
+            'svg', 'g', 'defs', 'symbol', 'use', 'circle', 'ellipse', 'line', 'path', 'polygon', 'polyline', 'rect',
+            'text', 'tspan', 'textPath', 'image', 'linearGradient', 'radialGradient', 'stop', 'clipPath', 'mask',
+            'pattern', 'marker', 'filter', 'feGaussianBlur', 'feOffset', 'feBlend', 'feColorMatrix', 'feMerge',
+            'feMergeNode', 'foreignObject', 'desc', 'animate', 'animateTransform',
+            'math', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'mrow', 'mfrac', 'msqrt', 'mroot', 'msub', 'msup',
+            'msubsup', 'munder', 'mover', 'munderover', 'mtable', 'mtr', 'mtd', 'mstyle', 'semantics', 'annotation',
             'iframe'
         ];
 
@@ -37,71 +2522,163 @@
             'drag', 'dragstart', 'dragend', 'dragover', 'dragenter', 'dragleave', 'drop'
         ];
 
-        class State {
-            constructor(initialValue, options = {}) {
-                this._value = initialValue;
-                this._compare = options.compare || ((a, b) => a === b);
-                this._debug = options.debug || false;
-            }
-        
-            get() {
-                return this._value;
-            }
-        
-            set(newValue, force) {
-                if (!this._compare(this._value, newValue) || force) {
-                    this._value = newValue;
-                    this.notifyElements();
-                }
-            }
+        const r = {
+            anchor,
+            child,
+            options,
+            _element: null,
+            _currentElement: null,
+            _owner: createOwner(0),
+            _context: null,
+            _stack: [],
+            _router: null,
+            _State: State,
 
-            // value getter
-            get value() {
-                return this._value;
-            }
+            snapshot,
+            restore,
 
-            // value setter for symmetry
-            set value(newValue) {
-                this.set(newValue);
-            }
+            // Scoped styles: returns a class name whose rules are added to the page once
+            css(input, ...values) {
+                const { className, rules } = compileCss(input, ...values);
+                // Inside a shadow root the rules must live in that root, otherwise in the
+                // document the app renders in (which can be an iframe's)
+                const element = this._element;
+                const root = element && element.getRootNode ? element.getRootNode() : document;
+                injectCss(className, rules, root.nodeType === 11 || root.nodeType === 9 ? root : (element && element.ownerDocument) || document);
+                return className;
+            },
 
-            update(updaterFn, force) {
-                const currentValue = this.get();
-                const newValue = updaterFn(currentValue);
-                this.set(newValue, force);
-                return this;
-            }
+            // Where rsf-static writes the collected rules; the browser injects them itself
+            styles() {},
 
-            notifyElements() {
-                // Find all elements watching this state by querying DOM
-                document.querySelectorAll('[data-rsf-watching]').forEach(element => {
-                    const watching = element.getAttribute('data-rsf-watching').split(',');
-                    if (watching.includes(this._stateId)) {
-                        const renderFn = element._rsfRender;
-                        if (renderFn) {
-                            element.innerHTML = '';
-                            const tempR = Object.create(r);
-                            tempR._currentElement = element;
-                            renderFn(tempR);
-                        }
+            // Create a router for this app; r.link uses it. It stops listening when the
+            // current container re-renders or the app is destroyed (a getter, like Resource)
+            get Router() {
+                const owner = this._owner;
+                return function (routerOptions) {
+                    const router = new Router(routerOptions);
+                    r._router = router;
+                    owner.cleanups.push(() => router.destroy());
+                    return router;
+                };
+            },
+
+            // States created here are disposed with the current container, so persisted
+            // ones stop listening for other tabs. A getter, like Resource and Form
+            get State() {
+                const owner = this._owner;
+                const StateClass = this._State;
+                return function (initialValue, stateOptions) {
+                    const state = new StateClass(initialValue, stateOptions);
+                    if (state._persist) owner.cleanups.push(() => state.dispose());
+                    return state;
+                };
+            },
+
+            // Async data with data/loading/error States, owned by the current container:
+            // aborted when it re-renders or the app is destroyed. A getter, so that
+            // `new r.Resource()` still sees the r it was read from
+            get Resource() {
+                const owner = this._owner;
+                return function (fetcher, resourceOptions) {
+                    return new Resource(fetcher, resourceOptions, owner);
+                };
+            },
+
+            // Form model with validation; its effects are released with the current container
+            get Form() {
+                const owner = this._owner;
+                return function (formOptions) {
+                    return new Form(formOptions, owner);
+                };
+            },
+
+            // Render fallback while loading, error on failure, otherwise render(r, ...data)
+            suspense(resources, suspenseOptions, render) {
+                if (typeof suspenseOptions === 'function') {
+                    render = suspenseOptions;
+                    suspenseOptions = {};
+                }
+                const list = [].concat(resources);
+                const { fallback, error, tag = 'div', ...props } = suspenseOptions;
+                const watch = list.reduce((states, resource) => states.concat(resource.data, resource.loading, resource.error), []);
+                return this.elem(tag, Object.assign(props, { watch }), r => {
+                    const failed = list.find(resource => resource.error.get());
+                    if (failed) {
+                        if (error) error(r, failed.error.get(), () => failed.refetch());
+                    } else if (list.some(resource => resource.loading.get() && resource.data.get() === undefined)) {
+                        if (fallback) fallback(r);
+                    } else {
+                        render(r, ...list.map(resource => resource.data.get()));
                     }
                 });
-            }
-        }
+            },
 
-        let stateIdCounter = 0;
+            // Container whose children animate in and out (and move, with move: true)
+            // when a re-render or keyed list adds, removes or reorders them
+            transition(transitionOptions, render) {
+                const { name, enter, leave, duration, easing, move, appear, tag = 'div', ...props } = transitionOptions;
+                const transition = { name, enter, leave, duration, easing, move };
+                const element = this.elem(tag, props, render);
+                element._rsfTransition = transition;
+                if (appear) {
+                    Array.from(element.childNodes).forEach(node => enterNode(transition, node));
+                }
+                return element;
+            },
 
-        const r = {
-            anchor,
-            child,
-            options,
-            _element: null,
-            _currentElement: null,
-            _stack: [],
-            State,
+            // Render into another target (selector, element or shadow root). The nodes belong to
+            // the current container: they go away when it re-renders or the app is destroyed
+            portal(target, render) {
+                const element = resolveTarget(target);
+                if (!element) {
+                    throw new Error(`RSF: Cannot find portal target "${target}"`);
+                }
+                const owner = createOwner(this._owner.depth + 1);
+                const portalR = Object.create(this);
+                // Delegated events and r.css work from the target
+                portalR._element = element;
+                portalR._currentElement = element;
+                portalR._parentElement = null;
+                portalR._owner = owner;
+                portalR._stack = [];
+
+                // Portal content is never part of the server-rendered HTML
+                const parentHydrating = isHydrating;
+                const last = element.lastChild;
+                isHydrating = false;
+                try {
+                    render(portalR);
+                } finally {
+                    isHydrating = parentHydrating;
+                }
+
+                const nodes = [];
+                for (let node = last ? last.nextSibling : element.firstChild; node; node = node.nextSibling) {
+                    nodes.push(node);
+                }
+                this._owner.cleanups.push(() => {
+                    owner.disposed = true;
+                    cleanupOwner(owner);
+                    nodes.forEach(node => {
+                        if (node.parentNode === element) removeChild(element, node);
+                    });
+                });
+                return element;
+            },
+
+            link(propsOrContent, content) {
+                const router = propsOrContent.router || r._router;
+                if (!router) {
+                    throw new Error('RSF: r.link needs a router, create one with r.Router first');
+                }
+                const props = Object.assign({}, propsOrContent);
+                delete props.router;
+                return router.link(this, props, content);
+            },
 
             init() {
-                this._element = document.querySelector(this.anchor);
+                this._element = resolveTarget(this.anchor);
                 if (!this._element) {
                     throw new Error(`RSF: Cannot find anchor element "${this.anchor}"`);
                 }
@@ -110,49 +2687,72 @@
             },
 
             elem(tag = 'div', props = {}, content) {
-                const element = document.createElement(tag);
+                const parentHydrating = isHydrating;
+                const claimed = parentHydrating ? claimElement(this._currentElement, tag) : null;
+                const hydrating = Boolean(claimed);
+                const namespace = elementNamespace(tag, this._currentElement);
+                // Nodes belong to the document being rendered into, which can be an iframe's
+                const doc = this._currentElement.ownerDocument || document;
+                const element = claimed ||
+                    (namespace ? doc.createElementNS(namespace, tag) : doc.createElement(tag));
                 const childContent = content;
 
+                let watcher = null;
+                const bind = props.bind;
+                delete props.bind;
+
                 if (props.watch) {
-                    // Normalize watch to array if single state provided
-                    const watchArray = Array.isArray(props.watch) ? props.watch : [props.watch];
+                    watcher = createOwner(this._owner.depth + 1);
+                    watcher.node = element;
+                    watcher.render = childContent;
+                    watcher.root = this;
+                    watcher.context = this._context;
+                    watcher.auto = props.watch === 'auto';
+                    watcher.states = [];
+                    watcher.listener = () => renderWatched(watcher);
+                    watcher.listener._rsfDepth = watcher.depth;
+                    element._rsfWatcher = watcher;
 
-                    // Assign unique IDs to states if they don't have them
-                    watchArray.forEach(state => {
-                        if (!state._stateId) {
-                            state._stateId = `state-${stateIdCounter++}`;
-                        }
-                    });
+                    if (hydrating && !element.hasAttribute('data-rsf-watching')) {
+                        console.warn(`RSF: Hydration mismatch, <${tag}> was not rendered as a watched container`);
+                    }
 
-                    // Store state IDs on element
-                    element.setAttribute('data-rsf-watching', watchArray.map(s => s._stateId).join(','));
+                    if (!watcher.auto) {
+                        // Normalize watch to array if single state provided
+                        watchStates(watcher, Array.isArray(props.watch) ? props.watch : [props.watch]);
+                    }
 
-                    // Store render function
-                    element._rsfRender = childContent;
+                    this._owner.cleanups.push(() => {
+                        watcher.disposed = true;
+                        watchStates(watcher, []);
+                        cleanupOwner(watcher);
+                    });
 
                     delete props.watch;
                 }
 
-                const camelToKebab = str => str.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
-
                 Object.entries(props).forEach(([key, value]) => {
-                    const attr = camelToKebab(key);
-                    if (key === 'class') {
-                        element.className = value;
+                    const attr = attributeName(key, namespace);
+                    if (key === 'html' || key === 'unsafeHtml') {
+                        // Content flags, not attributes
+                    } else if (urlAttributes.includes(attr) && !isSafeUrl(value, attr)) {
+                        console.warn(`RSF: Blocked unsafe URL in ${attr} of <${tag}>`, value);
+                    } else if (key === 'class') {
+                        // className is read-only on SVG elements
+                        if (namespace) element.setAttribute('class', value); else element.className = value;
                     } else if (key === 'style') {
                         if (typeof value === 'object') {
                             Object.assign(element.style, value);
                         } else {
                             element.setAttribute('style', value);
                         }
+                    } else if (key === 'on') {
+                        Object.entries(value).forEach(([spec, handler]) => listen(element, spec, handler, this));
+                    } else if (/^on[A-Z]/.test(key) && value && typeof value !== 'string') {
+                        // onScroll, onPointerDown -> scroll, pointerdown
+                        listen(element, key.slice(2).toLowerCase(), value, this);
                     } else if (events.includes(attr)) {
-                        element.addEventListener(attr, (e) => {
-                            if (value.prototype) {
-                                value.call(element, e, this);
-                            } else {
-                                value(e, this);
-                            }
-                        });
+                        listen(element, attr, value, this);
                     } else if (booleanAttributes.includes(attr)) {
                         if (value === true) {
                             element.setAttribute(attr, '');
@@ -160,48 +2760,223 @@
                             element.removeAttribute(attr);
                         }
                     } else {
-                        element.setAttribute(attr, value);
+                        setAttribute(element, attr, value);
                     }
                 });
 
-                this._currentElement.appendChild(element);
+                if (parentHydrating && !hydrating) {
+                    // Mismatch: render this subtree from scratch where the server node should be,
+                    // keeping the cursor on that node so the fresh one is not dropped as unclaimed
+                    const next = nextHydrationNode(this._currentElement, true);
+                    this._currentElement.insertBefore(element, next);
+                    hydrationCursors.set(this._currentElement, next);
+                } else if (!hydrating) {
+                    this._currentElement.appendChild(element);
+                }
+                isHydrating = hydrating;
 
                 if (typeof childContent === 'function') {
                     this._stack.push(this._currentElement);
                     const parentElement = this._currentElement;
+                    const parentOwner = this._owner;
+                    const parentContext = this._context;
                     this._currentElement = element;
                     this._parentElement = parentElement;
-                    childContent(this);
+                    if (watcher) {
+                        this._owner = watcher;
+                        runWatcher(watcher, this);
+                    } else {
+                        childContent(this);
+                    }
+                    if (hydrating) finishHydration(element);
+                    this._owner = parentOwner;
+                    this._context = parentContext;
                     this._currentElement = this._stack.pop();
                     this._parentElement = this._stack[this._stack.length - 1] || null;
                 } else if (childContent !== undefined) {
-                    const content = String(childContent);
-                    if (props.html === true) {
-                        element.innerHTML = content;
-                    } else {
+                    let content = String(childContent);
+                    if (props.html && !props.unsafeHtml) {
+                        content = sanitize(content, props.html === true ? undefined : props.html);
+                    }
+                    if (props.html || props.unsafeHtml) {
+                        if (!hydrating || element.innerHTML !== content) {
+                            element.innerHTML = content;
+                        }
+                    } else if (!hydrating || element.textContent !== content) {
+                        if (hydrating) {
+                            console.warn(`RSF: Hydration mismatch, expected text "${content}" in <${tag}>`);
+                        }
                         element.textContent = content;
                     }
                 }
+                isHydrating = parentHydrating;
+
+                // After children, so a bound select can mark its options
+                if (bind) {
+                    const binding = createBinding(bind, element);
+                    element._rsfBinding = binding;
+                    writeBinding(binding);
+
+                    const onInput = () => {
+                        if (binding.kind === 'radio' && !binding.node.checked) return;
+                        binding.state.set(readBinding(binding));
+                    };
+                    element.addEventListener(binding.event, onInput);
+                    element._rsfListeners = element._rsfListeners || [];
+                    element._rsfListeners.push([binding.event, onInput]);
+
+                    const listener = () => syncBinding(binding);
+                    listener._rsfDepth = this._owner.depth + 1;
+                    binding.state.addListener(listener);
+                    this._owner.cleanups.push(() => binding.state.removeListener(listener));
+                }
 
                 return element;
             },
 
-            text(content) {
-                const textNode = document.createTextNode(String(content));
+            text(content, elementContent) {
+                // r.text(props, content) is the SVG <text> element
+                if (content !== null && typeof content === 'object') {
+                    return this.elem('text', content, elementContent);
+                }
+                if (isHydrating) {
+                    return claimText(this._currentElement, String(content));
+                }
+                const textNode = (this._currentElement.ownerDocument || document).createTextNode(String(content));
                 this._currentElement.appendChild(textNode);
                 return textNode;
             },
 
+            computed(fn, options) {
+                return new Computed(fn, options);
+            },
+
+            // Effects created while rendering are disposed with their container
+            effect(fn) {
+                return effect(fn, this._owner);
+            },
+
+            batch,
+            flush,
+            tick,
+
+            // Keyed list: rows are tracked by key and only changed rows are touched
+            each(state, keyFn, itemRenderFn) {
+                const parent = this._currentElement;
+                const doc = parent.ownerDocument || document;
+                const list = {
+                    state,
+                    keyFn,
+                    itemRenderFn,
+                    root: this,
+                    context: this._context,
+                    start: doc.createComment('rsf-each'),
+                    end: doc.createComment('/rsf-each'),
+                    items: new Map(),
+                    owners: new Map(),
+                    depth: this._owner.depth + 1
+                };
+                list.start._rsfList = list;
+                list.end._rsfList = list;
+
+                if (isHydrating) {
+                    parent.insertBefore(list.start, nextHydrationNode(parent, true));
+                    (state.peek() || []).forEach((item, index) => {
+                        const key = String(keyFn(item, index));
+                        list.items.set(key, item);
+                        hydrateRow(list, parent, key, item, index);
+                    });
+                    parent.insertBefore(list.end, nextHydrationNode(parent, true));
+                } else {
+                    parent.appendChild(list.start);
+                    (state.peek() || []).forEach((item, index) => {
+                        const key = String(keyFn(item, index));
+                        list.items.set(key, item);
+                        renderRow(list, key, item, index).forEach(node => parent.appendChild(node));
+                    });
+                    parent.appendChild(list.end);
+                }
+
+                const listener = () => updateList(list);
+                listener._rsfDepth = list.depth;
+                state.addListener(listener);
+                this._owner.cleanups.push(() => {
+                    list.disposed = true;
+                    state.removeListener(listener);
+                    list.owners.forEach(cleanupOwner);
+                });
+            },
+
+            // Runs fn once the current render is in the document; fn may return a cleanup
+            onMount(fn) {
+                pendingMounts.push({ fn, owner: this._owner });
+            },
+
+            // Runs fn when the current watched container re-renders or the app is destroyed
+            onCleanup(fn) {
+                this._owner.cleanups.push(fn);
+            },
+
+            // Context: value is visible to inject(key) in the rest of the current
+            // element's content, including nested watched containers and list rows
+            provide(key, value) {
+                this._context = { key, value, parent: this._context };
+            },
+
+            inject(key, fallback) {
+                for (let context = this._context; context; context = context.parent) {
+                    if (context.key === key) return context.value;
+                }
+                return fallback;
+            },
+
             render() {
                 this.init();
+                cleanupOwner(this._owner);
                 this._element.innerHTML = '';
                 this.child(this);
+                runMounts();
+                return this;
+            },
+
+            // Attach listeners and subscriptions to server-rendered HTML instead of rebuilding it
+            hydrate() {
+                this.init();
+                cleanupOwner(this._owner);
+
+                let values = [];
+                const script = Array.from(this._element.children)
+                    .find(node => node.nodeName === 'SCRIPT' && node.hasAttribute('data-rsf-state'));
+                if (script) {
+                    values = JSON.parse(script.textContent);
+                    script.parentNode.removeChild(script);
+                }
+
+                this._State = createHydratedState(values);
+                isHydrating = true;
+                try {
+                    this.child(this);
+                    finishHydration(this._element);
+                } finally {
+                    isHydrating = false;
+                    this._State = State;
+                }
+                runMounts();
                 return this;
+            },
+
+            // Unsubscribe everything, run cleanups and empty the anchor
+            destroy() {
+                cleanupOwner(r._owner);
+                if (r._element) {
+                    undelegateEvents(r._element);
+                    r._element.innerHTML = '';
+                }
             }
         };
 
         tags.forEach(tag => {
-            // Skip 'text' tag to avoid overriding r.text() method
+            // Skip 'text' tag to avoid overriding r.text(), which also creates SVG <text> given props
             if (tag === 'text') return;
 
             r[tag] = function (propsOrContent, content) {
@@ -226,8 +3001,30 @@
             });
         }
 
-        return r.render();
+        return options.hydrate ? r.hydrate() : r.render();
     }
 
+    rsf.hydrate = (anchor, child, options = {}) => rsf(anchor, child, Object.assign({}, options, { hydrate: true }));
+
+    rsf.State = State;
+    rsf.Router = Router;
+    rsf.Resource = Resource;
+    rsf.Form = Form;
+    rsf.defineElement = defineElement;
+    rsf.compileCss = compileCss;
+    rsf.sanitize = sanitize;
+    rsf.sanitize.defaults = sanitizeDefaults;
+    rsf.isSafeUrl = isSafeUrl;
+    rsf.isSafeUrl.attributes = urlAttributes;
+    rsf.attributeName = attributeName;
+    rsf.snapshot = snapshot;
+    rsf.restore = restore;
+    rsf.timeline = () => debugTimeline.slice();
+    rsf.computed = (fn, options) => new Computed(fn, options);
+    rsf.effect = fn => effect(fn, null);
+    rsf.batch = batch;
+    rsf.flush = flush;
+    rsf.tick = tick;
+
     return rsf;
 }));
\ No newline at end of file
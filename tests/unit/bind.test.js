@@ -0,0 +1,81 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { createStatic } = require('../../rsf-static.js');
+const { mount, fireEvent, type, serialize, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+test('text inputs and states follow each other', () => {
+    const name = new rsf.State('Ada');
+    const view = mount(r => r.input({ 'aria-label': 'Name', bind: name }));
+    const input = view.getByLabelText('Name');
+    assert.strictEqual(input.value, 'Ada');
+
+    type(input, ' Lovelace');
+    assert.strictEqual(name.get(), 'Ada Lovelace');
+
+    name.set('Grace');
+    rsf.flush();
+    assert.strictEqual(input.value, 'Grace');
+});
+
+test('checkboxes, radios and multiple selects bind to booleans, values and arrays', () => {
+    const subscribe = new rsf.State(false);
+    const plan = new rsf.State('free');
+    const toppings = new rsf.State(['cheese']);
+    const view = mount(r => {
+        r.input({ type: 'checkbox', 'aria-label': 'Subscribe', bind: subscribe });
+        ['free', 'pro'].forEach(value => r.input({ type: 'radio', name: 'plan', value, 'aria-label': value, bind: plan }));
+        r.select({ multiple: true, 'aria-label': 'Toppings', bind: toppings }, r => {
+            ['cheese', 'olives', 'ham'].forEach(t => r.option({ value: t }, t));
+        });
+    });
+    assert.strictEqual(view.getByLabelText('free').checked, true);
+
+    fireEvent.click(view.getByLabelText('Subscribe'));
+    fireEvent.click(view.getByLabelText('pro'));
+    assert.strictEqual(subscribe.get(), true);
+    assert.strictEqual(plan.get(), 'pro');
+
+    const select = view.getByLabelText('Toppings');
+    select.options[2].selected = true;
+    fireEvent.change(select);
+    assert.deepStrictEqual(toppings.get(), ['cheese', 'ham']);
+
+    toppings.set(['olives']);
+    rsf.flush();
+    assert.deepStrictEqual(select.options.map(option => option.selected), [false, true, false]);
+});
+
+test('number inputs parse their value, and parse/format convert custom bindings', () => {
+    const age = new rsf.State(30);
+    const cents = new rsf.State(1250);
+    const view = mount(r => {
+        r.input({ type: 'number', 'aria-label': 'Age', bind: age });
+        r.input({
+            'aria-label': 'Price',
+            bind: [cents, 'value', { parse: text => Math.round(parseFloat(text) * 100), format: value => (value / 100).toFixed(2), event: 'change' }]
+        });
+    });
+    const price = view.getByLabelText('Price');
+    assert.strictEqual(price.value, '12.50');
+
+    type(view.getByLabelText('Age'), '{backspace}{backspace}41');
+    assert.strictEqual(age.get(), 41);
+    type(view.getByLabelText('Age'), '{backspace}{backspace}');
+    assert.strictEqual(age.get(), null);
+
+    fireEvent.change(price, { target: { value: '3.5' } });
+    assert.strictEqual(cents.get(), 350);
+});
+
+test('bound values are rendered into the static HTML', () => {
+    const App = r => {
+        r.input({ bind: new r.State('Ada') });
+        r.input({ type: 'checkbox', bind: new r.State(true) });
+        r.textarea({ bind: new r.State('notes') });
+    };
+    assert.strictEqual(createStatic(App), '<input value="Ada"><input type="checkbox" checked><textarea>notes</textarea>');
+    assert.strictEqual(serialize(mount(App)), createStatic(App));
+});
@@ -0,0 +1,85 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+test('a computed is recomputed when a state it read changes', () => {
+    const a = new rsf.State(1);
+    const double = rsf.computed(() => a.get() * 2);
+    assert.strictEqual(double.get(), 2);
+    a.set(5);
+    assert.strictEqual(double.get(), 10);
+    assert.throws(() => double.set(3), /read-only/);
+});
+
+test('a chain of computeds is never stale, also while it has listeners', () => {
+    const a = new rsf.State(3);
+    const c1 = rsf.computed(() => a.get() + 1);
+    const c2 = rsf.computed(() => c1.get() + 1);
+    const seen = [];
+    const dispose = rsf.effect(() => seen.push(c2.get()));
+
+    a.set(5);
+    assert.strictEqual(c1.get(), 6);
+    assert.strictEqual(c2.get(), 7);
+
+    rsf.flush();
+    assert.deepStrictEqual(seen, [5, 7]);
+    dispose();
+});
+
+test('an effect on a chained computed only sees current values', () => {
+    const a = new rsf.State(0);
+    const c1 = rsf.computed(() => a.get() * 10);
+    const c2 = rsf.computed(() => c1.get() + 1);
+    const seen = [];
+    const dispose = rsf.effect(() => seen.push([a.get(), c2.get()]));
+
+    a.set(1);
+    rsf.flush();
+    a.set(2);
+    rsf.flush();
+    seen.forEach(([value, derived]) => assert.strictEqual(derived, value * 10 + 1));
+    assert.deepStrictEqual(seen[seen.length - 1], [2, 21]);
+    dispose();
+});
+
+test('a computed whose value did not change does not re-render its container', () => {
+    let renders = 0;
+    let count;
+    const view = mount(r => {
+        count = new r.State(1);
+        const parity = r.computed(() => count.get() % 2);
+        r.p({ watch: parity }, r => {
+            renders++;
+            r.text(parity.get() ? 'odd' : 'even');
+        });
+    });
+
+    count.set(3);
+    rsf.flush();
+    assert.strictEqual(renders, 1);
+    count.set(4);
+    rsf.flush();
+    assert.strictEqual(renders, 2);
+    assert.strictEqual(view.getByText('even').nodeName, 'P');
+});
+
+test('an effect that keeps setting a state it reads fails instead of looping forever', () => {
+    const count = new rsf.State(0);
+    const clamped = new rsf.State(50);
+    const disposeClamp = rsf.effect(() => {
+        if (clamped.get() > 10) clamped.set(10);
+    });
+    const disposeLoop = rsf.effect(() => count.set(count.get() + 1));
+    clamped.set(20);
+    count.set(5);
+
+    assert.throws(() => rsf.flush(), /RSF: An effect re-ran 100 times in one flush/);
+    assert.strictEqual(clamped.get(), 10);
+    disposeLoop();
+    disposeClamp();
+    rsf.flush();
+});
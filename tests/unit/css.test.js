@@ -0,0 +1,77 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { createStatic } = require('../../rsf-static.js');
+const { mount, createDocument, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+function Cards(r) {
+    const card = r.css({ color: 'red' });
+    r.p({ class: card }, 'first');
+    r.p({ class: card }, 'second');
+    r.section({ class: r.css({ color: 'red' }) }, 'same styles');
+}
+
+function mountInNewDocument(render, setup) {
+    const doc = createDocument();
+    if (setup) setup(doc);
+    const container = doc.body.appendChild(doc.createElement('div'));
+    return { doc, view: mount(render, { container }) };
+}
+
+test('nested selectors, & and at-rules are scoped to the generated class', () => {
+    const { className, rules } = rsf.compileCss({
+        padding: '16px',
+        borderRadius: '8px',
+        ':hover': { color: 'red' },
+        '&.selected': { borderColor: 'blue' },
+        'h2, p': { margin: 0 },
+        '@media (max-width: 600px)': { padding: '8px' }
+    });
+    assert.match(className, /^rsf-[a-z0-9]+$/);
+    assert.deepStrictEqual(rules.map(rule => rule.split(className).join('X')), [
+        '.X { padding: 16px; border-radius: 8px; }',
+        '.X:hover { color: red; }',
+        '.X.selected { border-color: blue; }',
+        '.X h2, .X p { margin: 0; }',
+        '@media (max-width: 600px) { .X { padding: 8px; } }'
+    ]);
+});
+
+test('a tagged template interpolates values and scopes nested rules', () => {
+    const color = 'red';
+    const { className, rules } = rsf.compileCss`
+        color: ${color};
+        &:hover { color: blue; }
+    `;
+    assert.deepStrictEqual(rules, [`.${className} { color: red; }`, `.${className}:hover { color: blue; }`]);
+});
+
+test('equal styles share a class whose rules are added to the page once', () => {
+    const { doc, view } = mountInNewDocument(Cards);
+    const classes = Array.from(view.container.querySelectorAll('p, section')).map(node => node.className);
+    assert.strictEqual(new Set(classes).size, 1);
+
+    const styles = doc.head.querySelectorAll('style[data-rsf-css]');
+    assert.strictEqual(styles.length, 1);
+    assert.strictEqual(styles[0].textContent, `.${classes[0]} { color: red; }\n`);
+});
+
+test('createStatic writes the rules at r.styles(), and the browser reuses them', () => {
+    const html = createStatic(r => {
+        r.html(r => {
+            r.head(r => r.styles());
+            r.body(r => Cards(r));
+        });
+    });
+    const className = rsf.compileCss({ color: 'red' }).className;
+    assert.ok(html.startsWith(`<html><head><style data-rsf-css="${className}">.${className} { color: red; }</style></head>`));
+
+    const { doc } = mountInNewDocument(Cards, doc => {
+        doc.head.innerHTML = html.match(/<style[^]*<\/style>/)[0];
+    });
+    const styles = doc.head.querySelectorAll('style[data-rsf-css]');
+    assert.strictEqual(styles.length, 1);
+    assert.strictEqual(styles[0].textContent, `.${className} { color: red; }`);
+});
@@ -0,0 +1,61 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { createStatic } = require('../../rsf-static.js');
+const { mount, fireEvent, serialize, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+function TodoList(todos, renders) {
+    return r => {
+        r.ul(r => {
+            r.each(todos, todo => todo.id, (r, todo) => {
+                renders.push(todo.id);
+                r.li({ class: todo.done ? 'done' : '' }, r => {
+                    r.span(todo.text);
+                    r.button({ click: () => todos.update(list => list.filter(t => t.id !== todo.id)) }, 'Delete');
+                });
+            });
+        });
+    };
+}
+
+test('reordering moves the existing rows without re-rendering them', () => {
+    const todos = new rsf.State([{ id: 1, text: 'a' }, { id: 2, text: 'b' }, { id: 3, text: 'c' }]);
+    const renders = [];
+    const view = mount(TodoList(todos, renders));
+    const [a, b, c] = view.getAllByRole('listitem');
+
+    todos.update(list => [...list].reverse());
+    rsf.flush();
+    const rows = view.getAllByRole('listitem');
+    assert.deepStrictEqual(rows, [c, b, a]);
+    assert.deepStrictEqual(renders, [1, 2, 3]);
+});
+
+test('only rows whose item changed are re-rendered', () => {
+    const todos = new rsf.State([{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+    const renders = [];
+    const view = mount(TodoList(todos, renders));
+    const first = view.getAllByRole('listitem')[0];
+
+    todos.update(list => [list[0], { ...list[1], done: true }, { id: 3, text: 'c' }]);
+    rsf.flush();
+    assert.deepStrictEqual(renders, [1, 2, 2, 3]);
+    assert.strictEqual(view.getAllByRole('listitem')[0], first);
+    assert.strictEqual(view.getAllByRole('listitem')[1].className, 'done');
+});
+
+test('handlers of kept rows still work after other rows are removed', () => {
+    const todos = new rsf.State([{ id: 1, text: 'a' }, { id: 2, text: 'b' }, { id: 3, text: 'c' }]);
+    const view = mount(TodoList(todos, []));
+
+    fireEvent.click(view.getAllByRole('button', { name: 'Delete' })[0]);
+    fireEvent.click(view.getAllByRole('button', { name: 'Delete' })[1]);
+    assert.deepStrictEqual(view.getAllByRole('listitem').map(li => li.textContent), ['bDelete']);
+});
+
+test('the initial render matches createStatic', () => {
+    const todos = new rsf.State([{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+    assert.strictEqual(serialize(mount(TodoList(todos, []))), createStatic(TodoList(todos, [])));
+});
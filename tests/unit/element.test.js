@@ -0,0 +1,84 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, installDom, fireEvent, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+// defineElement uses the page globals, as it would in a browser
+const view = installDom().defaultView;
+Object.assign(global, { HTMLElement: view.HTMLElement, customElements: view.customElements, CustomEvent: view.CustomEvent });
+
+const connects = [];
+const destroyed = [];
+
+rsf.defineElement('test-counter', {
+    props: { label: String, start: { type: Number, default: 0, reflect: true } }
+}, (r, props, host) => {
+    const count = new r.State(props.start.peek());
+    connects.push(host);
+    r.onCleanup(() => destroyed.push(host));
+    r.button({ watch: [props.label, count], click: () => count.update(n => n + 1) }, r => {
+        r.text(`${props.label.get()}: ${count.get()}`);
+    });
+    r.button({ class: 'done', click: () => host.emit('done', count.peek()) }, 'Done');
+});
+
+const counterText = counter => counter.shadowRoot.querySelector('button').textContent;
+
+test('attributes and properties set the props, reflect writes them back', () => {
+    const { container } = mount(r => r.elem('test-counter', { label: 'Apples', start: 2 }));
+    const counter = container.querySelector('test-counter');
+    assert.strictEqual(counterText(counter), 'Apples: 2');
+
+    counter.setAttribute('label', 'Pears');
+    rsf.flush();
+    assert.strictEqual(counterText(counter), 'Pears: 2');
+
+    counter.start = 5;
+    assert.strictEqual(counter.getAttribute('start'), '5');
+});
+
+test('emit dispatches an event that leaves the shadow root', () => {
+    const details = [];
+    const { container } = mount(r => r.div({ on: { done: e => details.push(e.detail) } }, r => r.elem('test-counter', { label: 'a' })));
+    const counter = container.querySelector('test-counter');
+    fireEvent.click(counter.shadowRoot.querySelector('button'));
+    fireEvent.click(counter.shadowRoot.querySelector('.done'));
+    assert.deepStrictEqual(details, [1]);
+});
+
+test('a keyed reorder moves elements without resetting or reconnecting them', async () => {
+    const items = new rsf.State(['a', 'b', 'c']);
+    const { container } = mount(r => {
+        r.div(r => r.each(items, item => item, (r, item) => r.elem('test-counter', { label: item })));
+    });
+    const before = Array.from(container.querySelectorAll('test-counter'));
+    fireEvent.click(before[0].shadowRoot.querySelector('button'));
+    connects.length = 0;
+    destroyed.length = 0;
+
+    items.set(['c', 'b', 'a']);
+    rsf.flush();
+    await Promise.resolve();
+
+    const after = Array.from(container.querySelectorAll('test-counter'));
+    assert.deepStrictEqual(after, before.slice().reverse());
+    assert.strictEqual(counterText(after[2]), 'a: 1');
+    assert.deepStrictEqual([connects, destroyed], [[], []]);
+});
+
+test('an element that stays removed is destroyed after the microtask', async () => {
+    const show = new rsf.State(true);
+    const { container } = mount(r => r.div({ watch: show }, r => {
+        if (show.get()) r.elem('test-counter', { label: 'a' });
+    }));
+    const counter = container.querySelector('test-counter');
+    destroyed.length = 0;
+
+    show.set(false);
+    rsf.flush();
+    assert.deepStrictEqual(destroyed, []);
+    await Promise.resolve();
+    assert.deepStrictEqual(destroyed, [counter]);
+});
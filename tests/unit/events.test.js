@@ -0,0 +1,68 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, fireEvent, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+test('prevent, stop and self run before the handler', () => {
+    const calls = [];
+    const view = mount(r => {
+        r.div({ click: () => calls.push('outer') }, r => {
+            r.a({ href: '/next', on: { 'click.prevent.stop': () => calls.push('link') } }, 'Next');
+            r.section({ on: { 'click.self': () => calls.push('section') } }, r => r.span('inside'));
+        });
+    });
+
+    assert.strictEqual(fireEvent.click(view.getByText('Next')), false);
+    fireEvent.click(view.getByText('inside'));
+    fireEvent.click(view.container.querySelector('section'));
+    assert.deepStrictEqual(calls, ['link', 'outer', 'section', 'outer']);
+});
+
+test('key modifiers filter on event.key', () => {
+    const keys = [];
+    const view = mount(r => {
+        r.input({ 'aria-label': 'Todo', on: { 'keydown.enter': () => keys.push('enter'), 'keydown.esc': () => keys.push('esc') } });
+    });
+    const input = view.getByLabelText('Todo');
+
+    ['a', 'Enter', 'Escape', 'Tab'].forEach(key => fireEvent.keyDown(input, { key }));
+    assert.deepStrictEqual(keys, ['enter', 'esc']);
+});
+
+test('delegated handlers get the element as this and currentTarget, and stop ends the dispatch', () => {
+    const calls = [];
+    const view = mount(r => {
+        r.ul({ on: { 'click.delegate': () => calls.push('list') } }, r => {
+            r.li({ on: { click: { handler: function () { calls.push(['item', this.id]); }, delegate: true } }, id: 'a' }, 'A');
+            r.li({ on: { 'click.delegate.stop': e => calls.push(['stopped', e.currentTarget.id]) }, id: 'b' }, 'B');
+        });
+    });
+
+    fireEvent.click(view.getByText('A'));
+    fireEvent.click(view.getByText('B'));
+    assert.deepStrictEqual(calls, [['item', 'a'], 'list', ['stopped', 'b']]);
+});
+
+test('once handlers run once, also when a re-render moved them onto the live node', () => {
+    const tick = new rsf.State(0);
+    let direct = 0;
+    let delegated = 0;
+    const view = mount(r => {
+        r.div({ watch: tick }, r => {
+            r.span(`Render ${tick.get()}`);
+            r.button({ on: { 'click.once': () => direct++ } }, 'Direct');
+            r.button({ on: { 'click.delegate.once': () => delegated++ } }, 'Delegated');
+        });
+    });
+    tick.set(1);
+    rsf.flush();
+    assert.ok(view.getByText('Render 1'));
+
+    fireEvent.click(view.getByText('Direct'));
+    fireEvent.click(view.getByText('Direct'));
+    fireEvent.click(view.getByText('Delegated'));
+    fireEvent.click(view.getByText('Delegated'));
+    assert.deepStrictEqual([direct, delegated], [1, 1]);
+});
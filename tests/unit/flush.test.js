@@ -0,0 +1,73 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+test('changes made together re-render a container once', async () => {
+    const first = new rsf.State('Ada');
+    const last = new rsf.State('Lovelace');
+    let renders = 0;
+    const view = mount(r => r.p({ watch: [first, last] }, r => {
+        renders++;
+        r.text(`${first.get()} ${last.get()}`);
+    }));
+
+    rsf.batch(() => {
+        first.set('Grace');
+        last.set('Hopper');
+    });
+    assert.strictEqual(renders, 2);
+
+    first.set('Alan');
+    last.set('Turing');
+    assert.strictEqual(view.container.textContent, 'Grace Hopper');
+    await rsf.tick();
+    assert.strictEqual(renders, 3);
+    assert.strictEqual(view.container.textContent, 'Alan Turing');
+});
+
+test('a parent renders before its children, which are not rendered twice', () => {
+    const count = new rsf.State(0);
+    const renders = [];
+    mount(r => {
+        r.section({ watch: count }, r => {
+            renders.push('parent');
+            r.div({ watch: count }, r => {
+                renders.push('child');
+                r.div({ watch: count }, r => {
+                    renders.push('grandchild');
+                    r.text(count.get());
+                });
+            });
+        });
+    });
+    renders.length = 0;
+
+    count.set(1);
+    rsf.flush();
+    assert.deepStrictEqual(renders, ['parent', 'child', 'grandchild']);
+});
+
+test('a listener that throws does not keep the others from running', () => {
+    const count = new rsf.State(0);
+    const seen = [];
+    const view = mount(r => {
+        r.effect(() => {
+            if (count.get() === 1) throw new Error('effect failed');
+        });
+        r.p({ watch: count }, r => r.text(`Count: ${count.get()}`));
+        r.effect(() => seen.push(count.get()));
+    });
+
+    count.set(1);
+    assert.throws(() => rsf.flush(), /effect failed/);
+    assert.strictEqual(view.container.textContent, 'Count: 1');
+    assert.deepStrictEqual(seen, [0, 1]);
+
+    count.set(2);
+    rsf.flush();
+    assert.strictEqual(view.container.textContent, 'Count: 2');
+    assert.deepStrictEqual(seen, [0, 1, 2]);
+});
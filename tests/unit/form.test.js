@@ -0,0 +1,148 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, fireEvent, type, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+// A promise settled from the outside, to finish async validations in any order
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => {
+        resolve = done;
+    });
+    return { promise, resolve };
+}
+
+function SignupForm(options, capture) {
+    return r => {
+        const form = new r.Form(options);
+        capture(form);
+        r.form(form.props(), r => {
+            Object.keys(options.fields).forEach(name => {
+                r.input(form.field(name, { 'aria-label': name }));
+                form.message(r, name);
+            });
+            r.button({ type: 'submit' }, 'Register');
+        });
+    };
+}
+
+test('required fields show their message once touched or submitted', () => {
+    let form;
+    const view = mount(SignupForm({ fields: { name: { required: 'Please enter your name' } } }, f => { form = f; }));
+
+    assert.strictEqual(form.fields.name.error.peek(), 'Please enter your name');
+    assert.strictEqual(view.queryByText('Please enter your name'), null);
+
+    fireEvent.blur(view.getByLabelText('name'));
+    assert.ok(view.getByText('Please enter your name'));
+
+    type(view.getByLabelText('name'), 'Ada');
+    assert.strictEqual(form.fields.name.error.peek(), null);
+    assert.strictEqual(form.isValid.peek(), true);
+});
+
+test('custom validators run after a change, in order, with all values', () => {
+    let form;
+    const seen = [];
+    const view = mount(SignupForm({
+        fields: {
+            password: {},
+            confirm: {
+                validate: [
+                    (value, values) => {
+                        seen.push(values.password);
+                        return value !== values.password ? 'Passwords differ' : null;
+                    },
+                    value => (value.length < 3 ? 'Too short' : null)
+                ]
+            }
+        }
+    }, f => { form = f; }));
+    assert.deepStrictEqual(seen, []);
+
+    type(view.getByLabelText('password'), 'ab');
+    type(view.getByLabelText('confirm'), 'ab');
+    assert.strictEqual(form.fields.confirm.error.peek(), 'Too short');
+    assert.strictEqual(seen[seen.length - 1], 'ab');
+});
+
+test('a validator that throws becomes the field error', async () => {
+    let form;
+    let submitted = false;
+    const view = mount(SignupForm({
+        fields: {
+            username: {
+                validate: () => {
+                    throw new Error('Could not check the name');
+                }
+            }
+        },
+        onSubmit: () => {
+            submitted = true;
+        }
+    }, f => { form = f; }));
+
+    type(view.getByLabelText('username'), 'x');
+    assert.strictEqual(form.fields.username.error.peek(), 'Could not check the name');
+    assert.strictEqual(await form.submit(), false);
+    assert.strictEqual(submitted, false);
+});
+
+test('results of outdated async validations are ignored', async () => {
+    let form;
+    const checks = {};
+    const view = mount(SignupForm({
+        fields: {
+            username: {
+                validate: value => {
+                    checks[value] = deferred();
+                    return checks[value].promise;
+                }
+            }
+        }
+    }, f => { form = f; }));
+    const username = form.fields.username;
+
+    type(view.getByLabelText('username'), 'a');
+    type(view.getByLabelText('username'), 'b');
+    assert.strictEqual(username.validating.peek(), true);
+
+    // The newer check answers first; the older one must not overwrite it
+    checks.ab.resolve(null);
+    await checks.ab.promise;
+    await rsf.tick();
+    checks.a.resolve('Already taken');
+    await checks.a.promise;
+    await rsf.tick();
+    assert.strictEqual(username.error.peek(), null);
+    assert.strictEqual(username.validating.peek(), false);
+    assert.strictEqual(form.isValid.peek(), true);
+});
+
+test('submit calls onSubmit with the values only when the form is valid', async () => {
+    let form;
+    const calls = [];
+    const view = mount(SignupForm({
+        fields: { email: { required: true }, name: {} },
+        onSubmit: values => {
+            calls.push(values);
+            return Promise.reject({ errors: { email: 'Already registered' } });
+        }
+    }, f => { form = f; }));
+
+    assert.strictEqual(await form.submit(view.container.querySelector('form')), false);
+    assert.deepStrictEqual(calls, []);
+    assert.strictEqual(view.getByLabelText('email').ownerDocument.activeElement, view.getByLabelText('email'));
+
+    type(view.getByLabelText('email'), 'ada@example.com');
+    assert.strictEqual(await form.submit(), false);
+    assert.deepStrictEqual(calls, [{ email: 'ada@example.com', name: '' }]);
+    assert.strictEqual(form.fields.email.error.peek(), 'Already registered');
+    assert.strictEqual(form.isSubmitting.peek(), false);
+
+    // A server error clears once the field changes
+    type(view.getByLabelText('email'), 'x');
+    assert.strictEqual(form.fields.email.error.peek(), null);
+});
@@ -0,0 +1,96 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, fireEvent, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+// Debug states log every change; keep that out of the test output
+function quietly(fn) {
+    const saved = ['log', 'trace', 'groupCollapsed', 'groupEnd'].map(name => [name, console[name]]);
+    saved.forEach(([name]) => {
+        console[name] = () => {};
+    });
+    try {
+        return fn();
+    } finally {
+        saved.forEach(([name, method]) => {
+            console[name] = method;
+        });
+    }
+}
+
+test('undo and redo step through the previous values', () => {
+    const doc = new rsf.State('a', { history: 2 });
+    doc.set('b');
+    doc.set('c');
+    doc.set('d');
+
+    assert.strictEqual(doc.undo(), true);
+    assert.strictEqual(doc.undo(), true);
+    assert.strictEqual(doc.get(), 'b');
+    assert.strictEqual(doc.undo(), false);
+    assert.strictEqual(doc.redo(), true);
+    assert.strictEqual(doc.get(), 'c');
+
+    // A new value clears the steps to redo
+    doc.set('e');
+    assert.strictEqual(doc.canRedo, false);
+    doc.clearHistory();
+    assert.strictEqual(doc.canUndo, false);
+});
+
+test('changes within the merge window are one step', () => {
+    const title = new rsf.State('', { history: { merge: 60000 } });
+    ['H', 'Hi', 'Hi!'].forEach(value => title.set(value));
+    title.undo();
+    assert.strictEqual(title.get(), '');
+});
+
+test('canUndo is tracked, so undo buttons update', () => {
+    let doc;
+    const view = mount(r => {
+        doc = new r.State(0, { history: 10 });
+        r.div({ watch: 'auto' }, r => {
+            r.button({ disabled: !doc.canUndo, click: () => doc.undo() }, 'Undo');
+            r.button({ click: () => doc.update(n => n + 1) }, 'Add');
+        });
+    });
+    const undo = view.getByRole('button', { name: 'Undo' });
+    assert.strictEqual(undo.disabled, true);
+
+    fireEvent.click(view.getByRole('button', { name: 'Add' }));
+    assert.strictEqual(undo.disabled, false);
+    fireEvent.click(undo);
+    assert.strictEqual(doc.get(), 0);
+    assert.strictEqual(undo.disabled, true);
+});
+
+test('snapshot and restore put a group of states back in one update', () => {
+    const todos = new rsf.State(['a']);
+    const filter = new rsf.State('all');
+    let renders = 0;
+    mount(r => r.p({ watch: [todos, filter] }, () => renders++));
+
+    const saved = rsf.snapshot({ todos, filter });
+    todos.set(['a', 'b']);
+    filter.set('done');
+    rsf.flush();
+    rsf.restore(saved);
+    assert.deepStrictEqual([todos.get(), filter.get()], [['a'], 'all']);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(saved.values)), { todos: ['a'], filter: 'all' });
+    assert.strictEqual(renders, 3);
+});
+
+test('changes of debug states are recorded with the containers they re-rendered', () => {
+    quietly(() => {
+        const count = new rsf.State(0, { debug: 'history-test:count' });
+        mount(r => r.output({ id: 'total', watch: count }, r => r.text(count.get())));
+        count.set(1);
+        rsf.flush();
+    });
+
+    const entries = rsf.timeline().filter(entry => entry.state === 'history-test:count');
+    assert.strictEqual(entries.length, 1);
+    assert.deepStrictEqual([entries[0].oldValue, entries[0].newValue, entries[0].rendered], [0, 1, ['output#total']]);
+});
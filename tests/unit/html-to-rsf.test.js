@@ -0,0 +1,22 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { htmlToRsf } = require('../../renderHtmlToRsf.js');
+const { mount, serialize, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+test('tags rsf.js has no helper for go through r.elem', () => {
+    const code = htmlToRsf('<title>T</title><link rel="stylesheet" href="a.css"><style>p { color: red; }</style>');
+    assert.strictEqual(code, [
+        'r.elem("title", {}, "T");',
+        'r.elem("link", { rel: "stylesheet", href: "a.css" });',
+        'r.elem("style", {}, "p { color: red; }");'
+    ].join('\n\n'));
+});
+
+test('the generated code renders the same HTML in rsf.js', () => {
+    const html = '<div class="card"><h2>Title</h2><link rel="stylesheet" href="a.css">' +
+        '<p>One &amp; <b>two</b></p><input type="checkbox" checked><svg viewBox="0 0 10 10"><text x="1">t</text></svg></div>';
+    const render = new Function('r', htmlToRsf(html));
+    assert.strictEqual(serialize(mount(render)), html);
+});
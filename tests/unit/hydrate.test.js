@@ -0,0 +1,83 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { createStatic } = require('../../rsf-static.js');
+const { mount, fireEvent, serialize, installDom, cleanup } = require('../../rsf-testing.js');
+
+const doc = installDom();
+
+afterEach(cleanup);
+
+function Counter(r) {
+    const count = new r.State(5);
+    r.h1('Counter');
+    r.button({ click: () => count.update(n => n + 1), watch: count }, r => r.text(`Count: ${count.get()}`));
+    r.ul(r => r.each(new r.State(['a', 'b']), item => item, (r, item) => r.li(item)));
+}
+
+function serverRendered(App) {
+    const container = doc.body.appendChild(doc.createElement('div'));
+    container.innerHTML = createStatic(App, { hydrate: true });
+    return container;
+}
+
+function collectWarnings(fn) {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+        fn();
+    } finally {
+        console.warn = warn;
+    }
+    return warnings;
+}
+
+test('hydration keeps the server nodes and makes them interactive', () => {
+    const container = serverRendered(Counter);
+    const button = container.querySelector('button');
+    const items = Array.from(container.querySelectorAll('li'));
+
+    let view;
+    const warnings = collectWarnings(() => {
+        view = mount(Counter, { container, hydrate: true });
+    });
+    assert.deepStrictEqual(warnings, []);
+    assert.strictEqual(view.getByRole('button'), button);
+    assert.deepStrictEqual(view.getAllByRole('listitem'), items);
+    assert.strictEqual(container.querySelector('script[data-rsf-state]'), null);
+
+    fireEvent.click(button);
+    assert.strictEqual(button.textContent, 'Count: 6');
+    assert.strictEqual(serialize(view), createStatic(r => {
+        r.h1('Counter');
+        r.button({}, 'Count: 6');
+        r.ul(r => ['a', 'b'].forEach(item => r.li(item)));
+    }));
+});
+
+test('states start from the serialized values', () => {
+    const container = serverRendered(r => {
+        const name = new r.State('server');
+        r.p({ watch: name }, r => r.text(name.get()));
+    });
+    let name;
+    const view = mount(r => {
+        name = new r.State('client');
+        r.p({ watch: name }, r => r.text(name.get()));
+    }, { container, hydrate: true });
+
+    assert.strictEqual(name.get(), 'server');
+    assert.strictEqual(view.container.querySelector('p').textContent, 'server');
+});
+
+test('a mismatch is reported and rendered from scratch', () => {
+    const container = serverRendered(r => r.p('server text'));
+    const warnings = collectWarnings(() => {
+        mount(r => r.section('client'), { container, hydrate: true });
+    });
+
+    assert.ok(warnings.length > 0);
+    assert.ok(warnings.every(warning => warning.startsWith('RSF: Hydration mismatch')));
+    assert.strictEqual(container.querySelector('section').textContent, 'client');
+});
@@ -0,0 +1,75 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+test('onMount runs once the render is in the document, and its cleanup before the next one', () => {
+    const room = new rsf.State('lobby');
+    const log = [];
+    mount(r => {
+        r.div({ watch: room }, r => {
+            const name = room.get();
+            r.h2({ id: `room-${name}` }, name);
+            r.onCleanup(() => log.push(`close ${name}`));
+            r.onMount(() => {
+                log.push(`mounted ${name}: ${Boolean(document.getElementById(`room-${name}`))}`);
+                return () => log.push(`unmount ${name}`);
+            });
+        });
+    });
+    assert.deepStrictEqual(log, ['mounted lobby: true']);
+
+    room.set('kitchen');
+    rsf.flush();
+    assert.deepStrictEqual(log, ['mounted lobby: true', 'unmount lobby', 'close lobby', 'mounted kitchen: true']);
+});
+
+test('destroy runs every cleanup, unsubscribes and empties the anchor', () => {
+    const count = new rsf.State(0);
+    const log = [];
+    let renders = 0;
+    const view = mount(r => {
+        r.onCleanup(() => log.push('app'));
+        r.effect(() => {
+            count.get();
+            return () => log.push('effect');
+        });
+        r.p({ watch: count }, r => {
+            renders++;
+            r.onCleanup(() => log.push('paragraph'));
+        });
+    });
+    const container = view.container;
+
+    view.unmount();
+    assert.deepStrictEqual(log.sort(), ['app', 'effect', 'paragraph']);
+    assert.strictEqual(container.childNodes.length, 0);
+
+    count.set(1);
+    rsf.flush();
+    assert.strictEqual(renders, 1);
+    assert.strictEqual(count._listeners.size, 0);
+});
+
+test('cleanups of nested containers run when an outer container re-renders', () => {
+    const page = new rsf.State('home');
+    const tick = new rsf.State(0);
+    const log = [];
+    mount(r => {
+        r.main({ watch: page }, r => {
+            const name = page.get();
+            r.section({ watch: tick }, r => {
+                const id = `${name} ${tick.get()}`;
+                r.onCleanup(() => log.push(id));
+            });
+        });
+    });
+
+    tick.set(1);
+    rsf.flush();
+    page.set('about');
+    rsf.flush();
+    assert.deepStrictEqual(log, ['home 0', 'home 1']);
+});
@@ -0,0 +1,77 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, type, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+function Editor(tick, notes) {
+    return r => {
+        r.form({ watch: tick }, r => {
+            r.p(`Saved ${tick.get()} times`);
+            r.input({ 'aria-label': 'Name' });
+            r.textarea({ 'aria-label': 'Notes' }, notes ? notes.get() : undefined);
+        });
+    };
+}
+
+test('typed text in inputs and textareas survives an unrelated re-render', () => {
+    const tick = new rsf.State(0);
+    const view = mount(Editor(tick));
+    type(view.getByLabelText('Name'), 'bob');
+    type(view.getByLabelText('Notes'), 'some notes');
+
+    tick.set(1);
+    rsf.flush();
+    assert.strictEqual(view.getByText('Saved 1 times').nodeName, 'P');
+    assert.strictEqual(view.getByLabelText('Name').value, 'bob');
+    assert.strictEqual(view.getByLabelText('Notes').value, 'some notes');
+});
+
+test('focus and caret survive an unrelated re-render', () => {
+    const tick = new rsf.State(0);
+    const view = mount(Editor(tick));
+    const notes = view.getByLabelText('Notes');
+    type(notes, 'hello world');
+    notes.setSelectionRange(2, 5);
+
+    tick.set(1);
+    rsf.flush();
+    assert.strictEqual(view.getByLabelText('Notes'), notes);
+    assert.strictEqual(notes.ownerDocument.activeElement, notes);
+    assert.deepStrictEqual([notes.selectionStart, notes.selectionEnd], [2, 5]);
+});
+
+test('a textarea follows its content when the render changes it', () => {
+    const tick = new rsf.State(0);
+    const notes = new rsf.State('draft');
+    const view = mount(Editor(tick, notes));
+    const textarea = view.getByLabelText('Notes');
+    assert.strictEqual(textarea.value, 'draft');
+
+    notes.set('loaded from server');
+    tick.set(1);
+    rsf.flush();
+    assert.strictEqual(textarea.value, 'loaded from server');
+});
+
+test('a bound textarea shows state changes and keeps what is typed', () => {
+    let text;
+    let tick;
+    const view = mount(r => {
+        text = new r.State('');
+        tick = new r.State(0);
+        r.div({ watch: tick }, r => r.textarea({ 'aria-label': 'Bio', bind: text }));
+    });
+    const bio = view.getByLabelText('Bio');
+    type(bio, 'typed');
+    assert.strictEqual(text.get(), 'typed');
+
+    tick.set(1);
+    rsf.flush();
+    assert.strictEqual(bio.value, 'typed');
+
+    text.set('');
+    rsf.flush();
+    assert.strictEqual(bio.value, '');
+});
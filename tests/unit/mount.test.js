@@ -0,0 +1,63 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, fireEvent, createDocument, installDom, cleanup } = require('../../rsf-testing.js');
+
+installDom();
+
+afterEach(cleanup);
+
+test('an app renders into another document with that document\'s nodes and styles', () => {
+    const doc = createDocument();
+    const app = rsf(doc, r => {
+        r.p({ class: r.css({ color: 'red' }) }, 'In the frame');
+        r.ul(r => r.each(new r.State(['a']), item => item, (r, item) => r.li(item)));
+    });
+
+    const p = doc.body.querySelector('p');
+    assert.strictEqual(p.ownerDocument, doc);
+    assert.strictEqual(doc.body.querySelector('li').ownerDocument, doc);
+    assert.ok(doc.head.querySelector('style[data-rsf-css]').textContent.includes('color: red'));
+    assert.strictEqual(document.head.querySelector('style[data-rsf-css]'), null);
+    app.destroy();
+});
+
+test('portal content renders in the target and goes away with its container', () => {
+    const target = document.body.appendChild(document.createElement('div'));
+    let open;
+    const view = mount(r => {
+        open = new r.State(true);
+        r.div({ watch: open }, r => {
+            if (open.get()) r.portal(target, r => r.button({ click: () => open.set(false) }, 'Close'));
+        });
+    });
+
+    assert.strictEqual(view.queryByText('Close'), null);
+    fireEvent.click(target.querySelector('button'));
+    assert.strictEqual(target.childNodes.length, 0);
+
+    open.set(true);
+    rsf.flush();
+    assert.strictEqual(target.querySelectorAll('button').length, 1);
+    view.unmount();
+    assert.strictEqual(target.childNodes.length, 0);
+});
+
+test('inject finds the innermost provided value, also after re-renders', () => {
+    let count;
+    const view = mount(r => {
+        count = new r.State(0);
+        r.provide('theme', 'light');
+        r.section(r => {
+            r.provide('theme', 'dark');
+            r.p({ watch: count }, r => r.text(`${r.inject('theme')} ${count.get()}`));
+        });
+        r.p(r.inject('theme'));
+        r.p(r.inject('missing', 'fallback'));
+    });
+
+    count.set(1);
+    rsf.flush();
+    const texts = Array.from(view.container.querySelectorAll('p')).map(p => p.textContent);
+    assert.deepStrictEqual(texts, ['dark 1', 'light', 'fallback']);
+});
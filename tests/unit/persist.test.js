@@ -0,0 +1,144 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, cleanup } = require('../../rsf-testing.js');
+
+afterEach(() => {
+    cleanup();
+    delete global.window;
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Keep the expected warnings out of the test output
+async function collectWarnings(fn) {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args[0]);
+    try {
+        await fn();
+    } finally {
+        console.warn = warn;
+    }
+    return warnings;
+}
+
+// Adapter backed by a Map; subscribe() returns its unsubscribe function
+function syncStorage(entries = {}) {
+    const items = new Map(Object.entries(entries));
+    const subscribers = new Map();
+    return {
+        items,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, value),
+        subscribe(key, callback) {
+            subscribers.set(key, callback);
+            return () => subscribers.delete(key);
+        },
+        // A change made by another tab
+        push(key, value) {
+            items.set(key, value);
+            if (subscribers.has(key)) subscribers.get(key)(value);
+        },
+        subscribed: key => subscribers.has(key)
+    };
+}
+
+function asyncStorage(storage, { failRead, failWrite } = {}) {
+    return {
+        getItem: key => (failRead ? Promise.reject(new Error('read failed')) : Promise.resolve(storage.getItem(key))),
+        setItem: (key, value) => (failWrite ? Promise.reject(new Error('write failed')) : Promise.resolve(storage.setItem(key, value)))
+    };
+}
+
+const record = (value, version = 0) => JSON.stringify({ version, value });
+
+test('a state starts from the stored value and writes changes after the debounce', async () => {
+    const storage = syncStorage({ count: record(5) });
+    const count = new rsf.State(0, { persist: { key: 'count', storage, debounce: 10 } });
+    assert.strictEqual(count.get(), 5);
+
+    count.set(6);
+    count.set(7);
+    assert.strictEqual(storage.items.get('count'), record(5));
+    await wait(30);
+    assert.strictEqual(storage.items.get('count'), record(7));
+});
+
+test('older versions are migrated, unreadable values fall back to the initial value', async () => {
+    const storage = syncStorage({ settings: record({ darkMode: true }, 1), broken: '{' });
+    const settings = new rsf.State({ theme: 'light' }, {
+        persist: { key: 'settings', storage, version: 2, migrate: value => ({ theme: value.darkMode ? 'dark' : 'light' }) }
+    });
+    assert.deepStrictEqual(settings.get(), { theme: 'dark' });
+
+    let broken;
+    const warnings = await collectWarnings(() => {
+        broken = new rsf.State('initial', { persist: { key: 'broken', storage } });
+    });
+    assert.strictEqual(broken.get(), 'initial');
+    assert.deepStrictEqual(warnings, ['RSF: Could not read persisted state "broken"']);
+});
+
+test('changes pushed by the adapter are applied until the state is disposed', () => {
+    const storage = syncStorage();
+    const theme = new rsf.State('light', { persist: { key: 'theme', storage } });
+
+    storage.push('theme', record('dark'));
+    assert.strictEqual(theme.get(), 'dark');
+
+    theme.dispose();
+    assert.strictEqual(storage.subscribed('theme'), false);
+});
+
+test('an async adapter applies the stored value once ready', async () => {
+    const storage = syncStorage({ notes: record(['a']) });
+    const notes = new rsf.State([], { persist: { key: 'notes', storage: asyncStorage(storage), debounce: 0 } });
+    assert.deepStrictEqual(notes.get(), []);
+
+    await notes.ready;
+    assert.deepStrictEqual(notes.get(), ['a']);
+    notes.set(['a', 'b']);
+    await wait(10);
+    assert.strictEqual(storage.items.get('notes'), record(['a', 'b']));
+});
+
+test('failed async reads and writes are reported, not left unhandled', async () => {
+    const storage = syncStorage();
+    let notes;
+    const warnings = await collectWarnings(async () => {
+        notes = new rsf.State('initial', { persist: { key: 'notes', storage: asyncStorage(storage, { failRead: true }) } });
+        await notes.ready;
+
+        const draft = new rsf.State('', { persist: { key: 'draft', storage: asyncStorage(storage, { failWrite: true }), debounce: 0 } });
+        draft.set('text');
+        await wait(10);
+    });
+    assert.strictEqual(notes.get(), 'initial');
+    assert.deepStrictEqual(warnings, ['RSF: Could not read persisted state "notes"', 'RSF: Could not persist state "draft"']);
+});
+
+test('states created with r.State stop listening for other tabs when the app is destroyed', () => {
+    // Web storage has no subscribe(); other tabs are followed through 'storage' events
+    const localStorage = Object.assign(syncStorage(), { subscribe: undefined });
+    const listeners = new Set();
+    global.window = {
+        localStorage,
+        addEventListener: (type, fn) => type === 'storage' && listeners.add(fn),
+        removeEventListener: (type, fn) => listeners.delete(fn)
+    };
+    let todos;
+    const view = mount(r => {
+        todos = new r.State([], { persist: { key: 'todos', debounce: 1000 } });
+    });
+    assert.strictEqual(listeners.size, 1);
+
+    listeners.forEach(fn => fn({ storageArea: localStorage, key: 'todos', newValue: record(['from another tab']) }));
+    assert.deepStrictEqual(todos.get(), ['from another tab']);
+
+    // The pending write is not lost either
+    todos.set(['mine']);
+    view.unmount();
+    assert.strictEqual(listeners.size, 0);
+    assert.strictEqual(localStorage.items.get('todos'), record(['mine']));
+});
@@ -0,0 +1,117 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, fireEvent, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A fetcher whose requests are answered from the test; requests are kept in order
+function controlledFetcher() {
+    const requests = [];
+    const fetcher = ({ signal, deps, attempt }) => new Promise((resolve, reject) => {
+        requests.push({ signal, deps, attempt, resolve, reject });
+    });
+    return { fetcher, requests };
+}
+
+test('suspense shows the fallback, then the data, or the error with a retry', async () => {
+    const { fetcher, requests } = controlledFetcher();
+    const view = mount(r => {
+        const user = new r.Resource(fetcher);
+        r.suspense([user], {
+            fallback: r => r.p('Loading'),
+            error: (r, error, retry) => r.button({ click: retry }, `${error.message} - retry`)
+        }, (r, data) => r.h1(data.name));
+    });
+    assert.ok(view.getByText('Loading'));
+
+    requests[0].reject(new Error('Offline'));
+    await wait(0);
+    rsf.flush();
+    fireEvent.click(view.getByRole('button', { name: 'Offline - retry' }));
+    assert.strictEqual(requests.length, 2);
+
+    requests[1].resolve({ name: 'Ada' });
+    await wait(0);
+    rsf.flush();
+    assert.strictEqual(view.getByRole('heading').textContent, 'Ada');
+});
+
+test('a dep change aborts the request in flight and ignores its response', async () => {
+    const { fetcher, requests } = controlledFetcher();
+    const page = new rsf.State(1);
+    let posts;
+    mount(r => {
+        posts = new r.Resource(fetcher, { deps: [page], initial: [] });
+    });
+
+    page.set(2);
+    rsf.flush();
+    assert.strictEqual(requests[0].signal.aborted, true);
+    assert.deepStrictEqual(requests[1].deps, [2]);
+
+    requests[1].resolve(['page 2']);
+    requests[0].resolve(['page 1']);
+    await wait(0);
+    assert.deepStrictEqual(posts.data.peek(), ['page 2']);
+    assert.strictEqual(posts.loading.peek(), false);
+});
+
+test('failed requests are retried before the error is set', async () => {
+    const attempts = [];
+    let resource;
+    mount(r => {
+        resource = new r.Resource(({ attempt }) => {
+            attempts.push(attempt);
+            return attempt < 2 ? Promise.reject(new Error('busy')) : 'done';
+        }, { retry: 2, retryDelay: 0 });
+    });
+
+    await wait(20);
+    assert.deepStrictEqual(attempts, [0, 1, 2]);
+    assert.strictEqual(resource.data.peek(), 'done');
+    assert.strictEqual(resource.error.peek(), null);
+});
+
+test('keyed results are shared, and fresh ones are not fetched again', async () => {
+    let fetches = 0;
+    const fetcher = () => {
+        fetches++;
+        return Promise.resolve(`profile ${fetches}`);
+    };
+    const first = new rsf.Resource(fetcher, { key: 'resource-test:profile', staleTime: 60000 });
+    await wait(0);
+    assert.strictEqual(first.data.peek(), 'profile 1');
+
+    const second = new rsf.Resource(fetcher, { key: 'resource-test:profile', staleTime: 60000 });
+    assert.strictEqual(second.data.peek(), 'profile 1');
+    assert.strictEqual(fetches, 1);
+    second.refetch();
+    await wait(0);
+    assert.deepStrictEqual([fetches, second.data.peek()], [2, 'profile 2']);
+
+    second.mutate(data => `${data}, edited`);
+    assert.strictEqual(new rsf.Resource(fetcher, { key: 'resource-test:profile', staleTime: 60000 }).data.peek(), 'profile 2, edited');
+    [first, second].forEach(resource => resource.dispose());
+});
+
+test('a resource created in a watched container is disposed when it re-renders', () => {
+    const { fetcher, requests } = controlledFetcher();
+    const tab = new rsf.State('posts');
+    const query = new rsf.State('a');
+    mount(r => {
+        r.div({ watch: tab }, () => {
+            if (tab.get() === 'posts') new r.Resource(fetcher, { deps: [query] });
+        });
+    });
+    assert.strictEqual(requests.length, 1);
+
+    tab.set('settings');
+    rsf.flush();
+    assert.strictEqual(requests[0].signal.aborted, true);
+    query.set('b');
+    rsf.flush();
+    assert.strictEqual(requests.length, 1);
+});
@@ -0,0 +1,163 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, fireEvent, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+const routes = [
+    { path: '/', render: r => r.h1('Home') },
+    {
+        path: '/users/:id',
+        render: (r, route) => r.h1(`User ${route.params.id}`)
+    },
+    {
+        path: '/settings',
+        children: [
+            { path: '', render: r => r.p('General') },
+            { path: 'privacy', render: r => r.p('Privacy') }
+        ]
+    },
+    { path: '*', render: (r, route) => r.p(`Not found: ${route.params['*']}`) }
+];
+
+function App(url) {
+    return r => {
+        const router = new r.Router({ routes, url });
+        r.nav(r => r.link({ to: '/users/42' }, 'User 42'));
+        router.view(r, { tag: 'main' });
+    };
+}
+
+test('params and query are parsed from the url', () => {
+    const router = new rsf.Router({ routes, url: '/users/a%20b?tab=posts&tag=x&tag=y' });
+    const route = router.route.get();
+    assert.strictEqual(route.params.id, 'a b');
+    assert.deepStrictEqual(route.query, { tab: 'posts', tag: ['x', 'y'] });
+});
+
+test('malformed escapes do not throw and keep the raw segment', async () => {
+    const router = new rsf.Router({ routes, url: '/users/%E0%A4%A' });
+    assert.strictEqual(router.route.get().params.id, '%E0%A4%A');
+    assert.strictEqual(await router.navigate('/users/%E0%A4%A?q=%ZZ'), true);
+    assert.strictEqual(router.route.get().query.q, '%ZZ');
+});
+
+test('navigation errors become rejections', async () => {
+    const router = new rsf.Router({ routes, url: '/', beforeEach: to => (to.path === '/loop' ? '/loop' : true) });
+    const navigation = router.navigate('/loop');
+    assert.ok(navigation instanceof Promise);
+    await assert.rejects(navigation, /Too many redirects/);
+});
+
+test('links navigate and the view renders the matched route', () => {
+    const view = mount(App('/'));
+    assert.strictEqual(view.getByRole('heading').textContent, 'Home');
+    fireEvent.click(view.getByRole('link', { name: 'User 42' }));
+    assert.strictEqual(view.getByRole('heading').textContent, 'User 42');
+});
+
+test('a parent route without render shows its matched child', () => {
+    const view = mount(App('/settings/privacy'));
+    assert.strictEqual(view.container.querySelector('main').textContent, 'Privacy');
+    view.r._router.navigate('/settings');
+    rsf.flush();
+    assert.strictEqual(view.container.querySelector('main').textContent, 'General');
+});
+
+test('guards can cancel a navigation', async () => {
+    const router = new rsf.Router({ routes, url: '/', beforeEach: to => to.path !== '/users/1' });
+    assert.strictEqual(await router.navigate('/users/1'), false);
+    assert.strictEqual(router.route.get().path, '/');
+    assert.strictEqual(await router.navigate('/nowhere'), true);
+    assert.strictEqual(router.route.get().params['*'], 'nowhere');
+});
+
+// Keep the expected errors out of the test output
+async function collectErrors(fn) {
+    const error = console.error;
+    const errors = [];
+    console.error = (...args) => errors.push(args[0]);
+    try {
+        await fn();
+        await new Promise(resolve => setTimeout(resolve, 0));
+    } finally {
+        console.error = error;
+    }
+    return errors;
+}
+
+// Just enough of a window for a hash router
+function fakeWindow(hash) {
+    const listeners = new Set();
+    global.window = {
+        location: { hash },
+        history: { pushState() {}, replaceState() {} },
+        addEventListener: (type, fn) => type === 'hashchange' && listeners.add(fn),
+        removeEventListener: (type, fn) => listeners.delete(fn)
+    };
+    return listeners;
+}
+
+test('a router stops listening with the container that created it', () => {
+    const listeners = fakeWindow('#/');
+    const tick = new rsf.State(0);
+    try {
+        const view = mount(r => {
+            r.div({ watch: tick }, r => {
+                const router = new r.Router({ routes });
+                router.view(r);
+            });
+        });
+        assert.strictEqual(listeners.size, 1);
+        tick.set(1);
+        rsf.flush();
+        tick.set(2);
+        rsf.flush();
+        assert.strictEqual(listeners.size, 1);
+        view.unmount();
+        assert.strictEqual(listeners.size, 0);
+    } finally {
+        delete global.window;
+    }
+});
+
+test('failed navigations nobody awaits are reported', async () => {
+    const listeners = fakeWindow('#/');
+    try {
+        const errors = await collectErrors(() => {
+            const view = mount(r => {
+                new r.Router({
+                    routes,
+                    beforeEach: to => {
+                        if (to.path !== '/') throw new Error('guard failed');
+                        return true;
+                    }
+                });
+                r.link({ to: '/users/1' }, 'User 1');
+            });
+            fireEvent.click(view.getByRole('link'));
+            window.location.hash = '#/users/2';
+            listeners.forEach(fn => fn());
+        });
+        assert.deepStrictEqual(errors, ['RSF: Navigation to "/users/1" failed', 'RSF: Navigation to "/users/2" failed']);
+    } finally {
+        delete global.window;
+    }
+});
+
+test('a lazy route that fails to load is reported once', async () => {
+    const errors = await collectErrors(async () => {
+        const view = mount(r => {
+            const router = new r.Router({
+                url: '/reports',
+                routes: [{ path: '/reports', lazy: () => Promise.reject(new Error('offline')), loading: r => r.p('Loading') }]
+            });
+            router.view(r, { tag: 'main' });
+        });
+        assert.strictEqual(view.getByText('Loading').nodeName, 'P');
+        view.r._router.navigate('/reports?page=2');
+        rsf.flush();
+    });
+    assert.deepStrictEqual(errors, ['RSF: Failed to load route "/reports"']);
+});
@@ -0,0 +1,71 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { createStatic } = require('../../rsf-static.js');
+const { mount, serialize, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+// Keep the expected warnings out of the test output
+function withoutWarnings(fn) {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+        fn();
+    } finally {
+        console.warn = warn;
+    }
+    return warnings;
+}
+
+test('scripts, handlers and unsafe URLs are removed', () => {
+    const html = '<p onclick="steal()">Hi <script>steal()</script><a href="javascript:steal()">x</a>' +
+        '<img src="data:text/html,x"><b>ok</b></p>';
+    assert.strictEqual(rsf.sanitize(html), '<p>Hi <a>x</a><img><b>ok</b></p>');
+});
+
+test('unbalanced tags are closed and blank targets get rel="noopener"', () => {
+    assert.strictEqual(
+        rsf.sanitize('<ul><li><a href="https://example.com" target="_blank">link</ul>'),
+        '<ul><li><a href="https://example.com" target="_blank" rel="noopener noreferrer">link</a></li></ul>'
+    );
+});
+
+test('options extend the allowed tags and URL schemes', () => {
+    assert.strictEqual(rsf.sanitize('<marquee>x</marquee>'), 'x');
+    assert.strictEqual(rsf.sanitize('<marquee>x</marquee>', { tags: ['marquee'] }), '<marquee>x</marquee>');
+    assert.strictEqual(rsf.sanitize('<a href="ftp://host/f">f</a>'), '<a>f</a>');
+    assert.strictEqual(rsf.sanitize('<a href="ftp://host/f">f</a>', { schemes: ['ftp'] }), '<a href="ftp://host/f">f</a>');
+});
+
+test('isSafeUrl blocks script URLs, also when obfuscated', () => {
+    assert.strictEqual(rsf.isSafeUrl('https://example.com'), true);
+    assert.strictEqual(rsf.isSafeUrl('/relative?q=1'), true);
+    assert.strictEqual(rsf.isSafeUrl(' JaVa\tScRiPt:alert(1)'), false);
+    assert.strictEqual(rsf.isSafeUrl('&#106;avascript:alert(1)'), false);
+    assert.strictEqual(rsf.isSafeUrl('data:image/png;base64,AAAA'), true);
+    assert.strictEqual(rsf.isSafeUrl('data:image/png;base64,AAAA', 'href'), true);
+    assert.strictEqual(rsf.isSafeUrl('a.png 1x, javascript:x 2x', 'srcset'), false);
+});
+
+test('html content is sanitized the same way in rsf.js and createStatic', () => {
+    const App = r => {
+        r.div({ html: true }, '<b onmouseover="x()">bold</b><iframe src="https://evil"></iframe>');
+        r.a({ href: 'javascript:alert(1)' }, 'link');
+        r.svg({ viewBox: '0 0 1 1' }, r => r.use({ xlinkHref: '#icon' }));
+    };
+    let html;
+    const warnings = withoutWarnings(() => {
+        html = serialize(mount(App));
+        assert.strictEqual(html, createStatic(App));
+    });
+    assert.strictEqual(html, '<div><b>bold</b></div><a>link</a><svg viewBox="0 0 1 1"><use xlink:href="#icon"></use></svg>');
+    assert.strictEqual(warnings.length, 2);
+    assert.ok(warnings.every(warning => warning.startsWith('RSF: Blocked unsafe URL in href of <a>')));
+});
+
+test('unsafeHtml inserts the HTML as it is', () => {
+    const view = mount(r => r.div({ unsafeHtml: true }, '<b onclick="go()">trusted</b>'));
+    assert.strictEqual(view.container.querySelector('b').getAttribute('onclick'), 'go()');
+});
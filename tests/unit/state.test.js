@@ -0,0 +1,54 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+test('a change only re-renders the containers watching that state', () => {
+    const name = new rsf.State('Ada');
+    const count = new rsf.State(0);
+    const renders = { name: 0, count: 0, both: 0 };
+    mount(r => {
+        r.p({ watch: name }, () => renders.name++);
+        r.p({ watch: count }, () => renders.count++);
+        r.p({ watch: [name, count] }, () => renders.both++);
+    });
+
+    name.set('Grace');
+    rsf.flush();
+    assert.deepStrictEqual(renders, { name: 2, count: 1, both: 2 });
+});
+
+test('a state shared by two apps updates both', () => {
+    const user = new rsf.State('Guest');
+    const header = mount(r => r.header({ watch: user }, r => r.text(`Hello ${user.get()}`)));
+    const sidebar = mount(r => r.aside({ watch: user }, r => r.text(user.get())));
+
+    user.set('Ada');
+    rsf.flush();
+    assert.strictEqual(header.container.textContent, 'Hello Ada');
+    assert.strictEqual(sidebar.container.textContent, 'Ada');
+});
+
+test('containers that are gone stop listening', () => {
+    const showDetails = new rsf.State(true);
+    const details = new rsf.State('first');
+    let renders = 0;
+    const view = mount(r => {
+        r.div({ watch: showDetails }, r => {
+            if (showDetails.get()) r.p({ watch: details }, r => r.text(`${details.get()} ${++renders}`));
+        });
+    });
+
+    showDetails.set(false);
+    rsf.flush();
+    details.set('second');
+    rsf.flush();
+    assert.strictEqual(renders, 1);
+    // Internal, but it is what keeps removed nodes from leaking
+    assert.strictEqual(details._listeners.size, 0);
+
+    view.unmount();
+    assert.strictEqual(showDetails._listeners.size, 0);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createStatic, renderToString, renderToStream } = require('../../rsf-static.js');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function readChunks(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(String(chunk));
+    }
+    return chunks;
+}
+
+// Async children finish in reverse order; their output still lands in document order
+function Page(r) {
+    r.h1('Posts');
+    r.ul(async r => {
+        await wait(20);
+        r.li('first');
+    });
+    r.ul(async r => {
+        await wait(5);
+        r.li('second');
+    });
+    r.footer('Rendered on the server');
+}
+
+test('renderToString awaits async children in document order', async () => {
+    assert.strictEqual(
+        await renderToString(Page, { doctype: true }),
+        '<!DOCTYPE html><h1>Posts</h1><ul><li>first</li></ul><ul><li>second</li></ul><footer>Rendered on the server</footer>'
+    );
+});
+
+test('createStatic refuses async children', () => {
+    assert.throws(() => createStatic(Page), /async/);
+});
+
+test('renderToStream sends what is ready before async children finish', async () => {
+    const chunks = await readChunks(renderToStream(Page));
+    assert.strictEqual(chunks[0], '<h1>Posts</h1><ul>');
+    assert.strictEqual(chunks.join(''), await renderToString(Page));
+});
+
+test('a web stream is returned with { web: true }', async () => {
+    const reader = renderToStream(r => r.p(async r => r.text('streamed')), { web: true }).getReader();
+    const decoder = new TextDecoder();
+    let html = '';
+    for (let result = await reader.read(); !result.done; result = await reader.read()) {
+        html += decoder.decode(result.value);
+    }
+    assert.strictEqual(html, '<p>streamed</p>');
+});
+
+test('an async child that throws rejects the render and errors the stream', async () => {
+    const Broken = r => r.div(async () => {
+        throw new Error('database down');
+    });
+    await assert.rejects(renderToString(Broken), /database down/);
+    await assert.rejects(readChunks(renderToStream(Broken)), /database down/);
+});
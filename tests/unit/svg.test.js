@@ -0,0 +1,48 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createStatic } = require('../../rsf-static.js');
+const { mount, serialize, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+function Chart(r) {
+    r.svg({ viewBox: '0 0 10 10', strokeWidth: 2 }, r => {
+        r.defs(r => r.linearGradient({ id: 'fill' }));
+        r.g(r => r.text({ x: 1, y: 5 }, 'label'));
+        r.use({ xlinkHref: '#icon' });
+        r.foreignObject(r => r.p('caption'));
+    });
+    r.math(r => r.mi('x'));
+}
+
+test('svg and math content is created in its namespace, foreignObject content in HTML', () => {
+    const view = mount(Chart);
+    const find = selector => view.container.querySelector(selector);
+
+    ['svg', 'linearGradient', 'g', 'text', 'use', 'foreignObject'].forEach(tag => {
+        assert.strictEqual(find(tag).namespaceURI, SVG_NS, tag);
+    });
+    assert.strictEqual(find('mi').namespaceURI, MATHML_NS);
+    assert.strictEqual(find('p').namespaceURI, XHTML_NS);
+    assert.strictEqual(find('text').textContent, 'label');
+});
+
+test('svg attributes keep their case, others become kebab-case, xlink is namespaced', () => {
+    const view = mount(Chart);
+    const svg = view.container.querySelector('svg');
+    assert.strictEqual(svg.getAttribute('viewBox'), '0 0 10 10');
+    assert.strictEqual(svg.getAttribute('stroke-width'), '2');
+    assert.strictEqual(view.container.querySelector('use').getAttributeNS('http://www.w3.org/1999/xlink', 'href'), '#icon');
+});
+
+test('createStatic renders the same markup', () => {
+    const html = createStatic(Chart);
+    assert.strictEqual(html, '<svg viewBox="0 0 10 10" stroke-width="2"><defs><linearGradient id="fill"></linearGradient></defs>' +
+        '<g><text x="1" y="5">label</text></g><use xlink:href="#icon"></use><foreignObject><p>caption</p></foreignObject></svg>' +
+        '<math><mi>x</mi></math>');
+    assert.strictEqual(serialize(mount(Chart)), html);
+});
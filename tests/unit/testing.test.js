@@ -0,0 +1,69 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createStatic } = require('../../rsf-static.js');
+const { mount, fireEvent, type, serialize, cleanup } = require('../../rsf-testing.js');
+
+afterEach(cleanup);
+
+function TodoApp(r) {
+    const items = new r.State([]);
+    const draft = new r.State('');
+    r.form({ submit: e => { e.preventDefault(); items.update(list => [...list, draft.get()]); draft.set(''); } }, r => {
+        r.label({ for: 'new-todo' }, 'New todo');
+        r.input({ id: 'new-todo', bind: draft });
+        r.button({ type: 'submit' }, 'Add');
+    });
+    r.ul({ watch: items }, r => items.get().forEach(item => r.li(item)));
+}
+
+test('fireEvent re-renders watched containers before it returns', () => {
+    const view = mount(r => {
+        const count = new r.State(0);
+        r.button({ click: () => count.update(n => n + 1), watch: count }, r => r.text(`Count: ${count.get()}`));
+    });
+    fireEvent.click(view.getByRole('button'));
+    fireEvent.click(view.getByRole('button'));
+    assert.strictEqual(view.getByRole('button').textContent, 'Count: 2');
+});
+
+test('type updates bound inputs and submitting adds an item', () => {
+    const view = mount(TodoApp);
+    const input = view.getByLabelText('New todo');
+    type(input, 'Buy milk');
+    fireEvent.click(view.getByRole('button', { name: 'Add' }));
+    type(input, 'Walk dog{enter}');
+
+    assert.deepStrictEqual(view.getAllByRole('listitem').map(li => li.textContent), ['Buy milk', 'Walk dog']);
+    assert.strictEqual(input.value, '');
+});
+
+test('type handles {backspace} and clear', () => {
+    let draft;
+    const view = mount(r => {
+        draft = new r.State('old');
+        r.input({ 'aria-label': 'Name', bind: draft });
+    });
+    const input = view.getByLabelText('Name');
+    type(input, 'ab{backspace}c', { clear: true });
+    assert.strictEqual(draft.get(), 'ac');
+});
+
+test('queries throw or return null when nothing matches', () => {
+    const view = mount(TodoApp);
+    assert.throws(() => view.getByText('Missing'));
+    assert.strictEqual(view.queryByText('Missing'), null);
+    assert.strictEqual(view.queryAllByRole('listitem').length, 0);
+});
+
+test('serialize matches createStatic for the initial render', () => {
+    const view = mount(TodoApp);
+    assert.strictEqual(serialize(view), createStatic(TodoApp));
+});
+
+test('unmount empties and removes the container', () => {
+    const view = mount(TodoApp);
+    const container = view.container;
+    view.unmount();
+    assert.strictEqual(container.parentNode, null);
+    assert.strictEqual(container.childNodes.length, 0);
+});
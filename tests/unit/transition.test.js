@@ -0,0 +1,92 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const rsf = require('../../rsf.js');
+const { mount, cleanup } = require('../../rsf-testing.js');
+
+// Transitions only animate in a window; the built-in DOM has none
+let reducedMotion = false;
+beforeEach(() => {
+    reducedMotion = false;
+    global.window = { matchMedia: () => ({ matches: reducedMotion }) };
+});
+afterEach(() => {
+    cleanup();
+    delete global.window;
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function Toast(r, open) {
+    r.transition({ name: 'fade', duration: 30, watch: open }, r => {
+        if (open.get()) r.p({ id: 'toast' }, 'Saved');
+    });
+}
+
+test('enter and leave classes are applied and leaving nodes removed afterwards', async () => {
+    const open = new rsf.State(false);
+    const view = mount(r => Toast(r, open));
+
+    open.set(true);
+    rsf.flush();
+    assert.strictEqual(view.container.querySelector('#toast').className, 'fade-enter-from fade-enter-active');
+    await wait(80);
+    assert.strictEqual(view.container.querySelector('#toast').hasAttribute('class'), false);
+
+    open.set(false);
+    rsf.flush();
+    assert.strictEqual(view.container.querySelector('#toast').className, 'fade-leave-from fade-leave-active');
+    await wait(80);
+    assert.strictEqual(view.container.querySelector('#toast'), null);
+});
+
+test('content that comes back while leaving reuses the leaving node', async () => {
+    const open = new rsf.State(true);
+    const view = mount(r => Toast(r, open));
+    const toast = view.container.querySelector('#toast');
+
+    open.set(false);
+    rsf.flush();
+    open.set(true);
+    rsf.flush();
+    assert.strictEqual(view.container.querySelectorAll('#toast').length, 1);
+    assert.strictEqual(view.container.querySelector('#toast'), toast);
+    await wait(80);
+    assert.strictEqual(view.container.querySelector('#toast'), toast);
+    assert.strictEqual(toast.hasAttribute('class'), false);
+});
+
+test('keyed rows leave after their animation and come back without duplicates', async () => {
+    const items = new rsf.State(['a', 'b', 'c']);
+    const view = mount(r => {
+        r.transition({ tag: 'ul', name: 'list', duration: 30 }, r => {
+            r.each(items, item => item, (r, item) => r.li(item));
+        });
+    });
+    const keys = () => view.getAllByRole('listitem').map(li => li.getAttribute('data-key'));
+    const b = view.getByText('b');
+
+    items.set(['a', 'c']);
+    rsf.flush();
+    assert.deepStrictEqual(keys(), ['a', 'b', 'c']);
+    assert.ok(b.classList.contains('list-leave-active'));
+
+    items.set(['b', 'a', 'c']);
+    rsf.flush();
+    assert.deepStrictEqual(keys(), ['b', 'a', 'c']);
+    assert.strictEqual(view.getByText('b'), b);
+
+    items.set(['a']);
+    rsf.flush();
+    await wait(80);
+    assert.deepStrictEqual(keys(), ['a']);
+});
+
+test('nothing animates when reduced motion is requested', () => {
+    reducedMotion = true;
+    const open = new rsf.State(true);
+    const view = mount(r => Toast(r, open));
+
+    open.set(false);
+    rsf.flush();
+    assert.strictEqual(view.container.querySelector('#toast'), null);
+});